@@ -0,0 +1,44 @@
+// Error responses. Every API error has the same JSON shape:
+//   { "error": "<message for people>", "code": "<stable identifier>", "details": [{ "field", "message" }] }
+// details is only present for invalid request bodies. Unexpected failures are
+// logged and answered with a generic message; their text never reaches clients.
+const log = require('./logger.js');
+
+// Default code for each status; routes pass a more specific one where it helps
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'provider_error'
+};
+
+function sendError(res, status, message, { code, details } = {}) {
+    const body = { error: message, code: code || STATUS_CODES[status] || 'error' };
+    if (details) body.details = details;
+    return res.status(status).json(body);
+}
+
+// Last middleware: bodies express.json() could not read, and anything thrown past a route
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON', { code: 'malformed_json' });
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body is too large');
+    }
+
+    log.error('❌ Unhandled error', { method: req.method, path: req.path, error });
+    sendError(res, 500, 'Something went wrong');
+}
+
+module.exports = {
+    errorHandler,
+    sendError
+};
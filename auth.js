@@ -0,0 +1,178 @@
+// Account helpers: password hashing and signed session cookies.
+// Uses only Node's crypto module, no extra dependencies.
+const crypto = require('crypto');
+const { sendError } = require('./api-errors.js');
+const log = require('./logger.js');
+
+const COOKIE_NAME = 'unicorn_auth';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+
+// Without a configured secret, sessions only survive until the next restart
+const SESSION_SECRET = process.env.SESSION_SECRET || (() => {
+    log.warn('⚠️ SESSION_SECRET is not set, login sessions will reset on restart');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+// Hash a password as "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) reject(err);
+            else resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = (storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+
+        crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+// Cookie value: base64url(JSON payload) + "." + HMAC signature
+function createSessionToken(user) {
+    const payload = Buffer.from(JSON.stringify({
+        id: user.id,
+        email: user.email,
+        exp: Date.now() + SESSION_MAX_AGE
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function readSessionToken(token) {
+    if (!token || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return session.exp > Date.now() ? { id: session.id, email: session.email } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index <= 0) return;
+        try {
+            cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (err) {
+            // A malformed escape, maybe in another site's cookie: skip the pair
+        }
+    });
+    return cookies;
+}
+
+function setSessionCookie(res, user) {
+    res.cookie(COOKIE_NAME, createSessionToken(user), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_MAX_AGE
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(COOKIE_NAME);
+}
+
+// Middleware: sets req.user from the session cookie, or null
+function authenticate(req, res, next) {
+    req.user = readSessionToken(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    next();
+}
+
+// Middleware: rejects anonymous requests
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return sendError(res, 401, 'Authentication required');
+    }
+    next();
+}
+
+// Operators are accounts flagged is_admin out of band, with
+// `node database-manager.js admin grant <email>`; nobody can sign up as one
+function isAdmin(account) {
+    return Boolean(account && account.is_admin);
+}
+
+// Middleware factory: rejects anyone whose account is not an operator.
+// findUser(id) reads the account on every request, so a revoked admin
+// loses access at once rather than when the session cookie expires.
+function requireAdmin(findUser) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return sendError(res, 401, 'Authentication required');
+        }
+        try {
+            if (!isAdmin(await findUser(req.user.id))) {
+                return sendError(res, 403, 'Admin access required');
+            }
+        } catch (err) {
+            return next(err);
+        }
+        next();
+    };
+}
+
+// Lowercased, trimmed email; throws AuthError when it does not look like one
+function normalizeEmail(email) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        throw new AuthError('A valid email address is required');
+    }
+    return normalizedEmail;
+}
+
+function validateCredentials(email, password) {
+    const normalizedEmail = normalizeEmail(email);
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return normalizedEmail;
+}
+
+module.exports = {
+    AuthError,
+    hashPassword,
+    verifyPassword,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireAuth,
+    requireAdmin,
+    isAdmin,
+    normalizeEmail,
+    validateCredentials
+};
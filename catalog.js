@@ -0,0 +1,106 @@
+// Product catalog and server-side pricing.
+// Prices are in the smallest currency unit (cents), like Stripe amounts. The
+// catalog holds base-currency prices; orders in other currencies are priced
+// from their price tables (currencies.js).
+const { BASE_CURRENCY, priceIn } = require('./currencies.js');
+const {
+    CUSTOM_COLOR_PRICE,
+    DEFAULT_CUSTOMIZATION,
+    customizationPrice,
+    parseHexColor
+} = require('./customization.js');
+
+const DEFAULT_UNICORN_PRICE = parseInt(process.env.UNICORN_PRICE) || 25;
+
+class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+    }
+}
+
+// Find the best discount tier reached by a quantity
+function findTier(tiers, totalQuantity) {
+    let best = null;
+    for (const tier of tiers) {
+        if (totalQuantity >= tier.min_quantity && (!best || tier.min_quantity > best.min_quantity)) {
+            best = tier;
+        }
+    }
+    return best;
+}
+
+// Compute an order total from its line items and customization alone.
+// catalog is the shape returned by UnicornDatabase.getCatalog(); a line's
+// color is a catalog color name or a free '#rrggbb' body color, priced at the
+// base unicorn price plus CUSTOM_COLOR_PRICE. customization must already be
+// normalized (customization.js); its price is added to every unicorn. Every
+// price is looked up in currency, one base amount at a time.
+function calculateOrderTotal(catalog, unicornOrders, customization = DEFAULT_CUSTOMIZATION, currency = BASE_CURRENCY) {
+    const price = amount => priceIn(amount, currency);
+
+    if (!Array.isArray(unicornOrders) || unicornOrders.length === 0) {
+        throw new PricingError('Order must contain at least one unicorn');
+    }
+
+    const colorsByName = new Map(catalogIn(catalog, currency).colors.map(color => [color.name, color]));
+    const quantities = new Map();
+
+    for (const order of unicornOrders) {
+        const customHex = parseHexColor(order && order.color);
+        const color = customHex
+            ? { name: customHex, hex: customHex, price: price(DEFAULT_UNICORN_PRICE) + price(CUSTOM_COLOR_PRICE) }
+            : colorsByName.get(order && order.color);
+        if (!color) {
+            throw new PricingError(`Unknown color: ${order && order.color}`);
+        }
+        colorsByName.set(color.name, color);
+        if (!Number.isInteger(order.quantity) || order.quantity <= 0) {
+            throw new PricingError(`Invalid quantity for ${color.name}`);
+        }
+        // Merge repeated colors into one line item
+        quantities.set(color.name, (quantities.get(color.name) || 0) + order.quantity);
+    }
+
+    const totalUnicorns = [...quantities.values()].reduce((sum, qty) => sum + qty, 0);
+    const tier = findTier(catalog.tiers, totalUnicorns);
+    const discountPercent = tier ? tier.discount_percent : 0;
+
+    const optionsPrice = customizationPrice(customization, price);
+    const lineItems = [...quantities.entries()].map(([name, quantity]) => {
+        const color = colorsByName.get(name);
+        const unitPrice = color.price + optionsPrice;
+        const subtotal = unitPrice * quantity;
+        return {
+            color: name,
+            hex: color.hex,
+            quantity: quantity,
+            unitPrice: unitPrice,
+            amount: Math.round(subtotal * (100 - discountPercent) / 100)
+        };
+    });
+
+    return {
+        lineItems,
+        totalUnicorns,
+        discountPercent,
+        customization,
+        currency,
+        totalAmount: lineItems.reduce((sum, item) => sum + item.amount, 0)
+    };
+}
+
+// The catalog as /config shows it, with color prices in currency
+function catalogIn(catalog, currency = BASE_CURRENCY) {
+    return {
+        ...catalog,
+        colors: catalog.colors.map(color => ({ ...color, price: priceIn(color.price, currency) }))
+    };
+}
+
+module.exports = {
+    DEFAULT_UNICORN_PRICE,
+    PricingError,
+    calculateOrderTotal,
+    catalogIn
+};
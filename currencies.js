@@ -0,0 +1,73 @@
+// Currencies the shop sells in. CURRENCY (usd by default) is the base
+// currency: catalog color prices (catalog_colors.price) and option prices
+// (customization.js) are set in it. Other currencies are not converted at
+// checkout; each has a price table mapping base amounts to hand-picked
+// amounts, so a 25 cent unicorn costs 25 euro cents or 40 yen rather than
+// 23.17 euro cents. Base amounts missing from a table (say after changing
+// UNICORN_PRICE) fall back to its rate, rounded up to a whole unit. Tables
+// are written for one base: with a base that has none, the shop sells in
+// that currency only.
+//   CURRENCIES=usd,eur   currencies offered to visitors (default: the base and every table for it)
+//
+// Amounts are always in the currency's smallest unit, like Stripe amounts:
+// cents for usd, yen for jpy.
+
+const BASE_CURRENCY = (process.env.CURRENCY || 'usd').toLowerCase();
+
+// Base currency → currency → { rate from the base, prices: { base amount: amount } }
+const PRICE_TABLES = {
+    usd: {
+        eur: { rate: 0.95, prices: { 5: 5, 10: 10, 15: 15, 20: 20, 25: 25 } },
+        gbp: { rate: 0.8, prices: { 5: 5, 10: 8, 15: 12, 20: 16, 25: 20 } },
+        jpy: { rate: 150, prices: { 5: 10, 10: 15, 15: 25, 20: 30, 25: 40 } }
+    }
+};
+
+// A currency with neither a table for this base nor the base role cannot be
+// priced, so it is left out
+function parseCurrencyList(value, base = BASE_CURRENCY) {
+    const tables = PRICE_TABLES[base] || {};
+    const requested = value
+        ? value.split(',').map(code => code.trim().toLowerCase()).filter(Boolean)
+        : Object.keys(tables);
+    return [...new Set([base, ...requested])]
+        .filter(code => code === base || tables[code]);
+}
+
+const CURRENCIES = parseCurrencyList(process.env.CURRENCIES);
+
+// Digits after the decimal point: 2 for usd, 0 for jpy
+function minorUnits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: currency.toUpperCase() })
+        .resolvedOptions().maximumFractionDigits;
+}
+
+// A base-currency amount in currency, from its price table
+function priceIn(amount, currency = BASE_CURRENCY) {
+    if (currency === BASE_CURRENCY || amount === 0) return amount;
+
+    const table = PRICE_TABLES[BASE_CURRENCY][currency];
+    if (table.prices[amount] !== undefined) return table.prices[amount];
+    return Math.ceil(amount * table.rate);
+}
+
+// 2500, 'eur', 'it' → '25,00 €'; 40, 'jpy' → '¥40'
+function formatAmount(amount, currency, locale = 'en-US') {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: currency.toUpperCase() })
+        .format(amount / Math.pow(10, minorUnits(currency)));
+}
+
+// For /config: what the page may offer and how to read its amounts
+function currencyCatalog() {
+    return CURRENCIES.map(code => ({ code, minor_units: minorUnits(code) }));
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    currencyCatalog,
+    formatAmount,
+    minorUnits,
+    parseCurrencyList,
+    priceIn
+};
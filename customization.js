@@ -0,0 +1,159 @@
+// Unicorn customization beyond the body color: horn and wing styles and
+// colors, accessories, size and a glow or trail effect. One customization
+// applies to a whole order and is stored on every unicorn row it mints, so all
+// viewers draw the same unicorn. Prices are in cents of the base currency per
+// unicorn, on top of its color's price.
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/;
+
+// Choice → price
+const OPTIONS = {
+    horn_style: { classic: 0, spiral: 5, twin: 10, crystal: 15 },
+    wing_style: { feathered: 0, butterfly: 5, bat: 5, none: 0 },
+    size: { small: 0, normal: 0, large: 10, giant: 20 },
+    effect: { none: 0, glow: 10, trail: 15 }
+};
+
+const ACCESSORIES = { crown: 10, bow_tie: 5, scarf: 5, glasses: 5 };
+const MAX_ACCESSORIES = 3;
+
+// Model scale for each size
+const SIZE_SCALES = { small: 0.7, normal: 1, large: 1.4, giant: 1.8 };
+
+// A body color picked freely instead of from the catalog costs extra
+const CUSTOM_COLOR_PRICE = 10;
+const CUSTOM_COLOR_NAME = 'Custom';
+
+// What every unicorn looked like before customization existed
+const DEFAULT_CUSTOMIZATION = Object.freeze({
+    horn_style: 'classic',
+    horn_hex: '#ffd700',
+    wing_style: 'feathered',
+    wing_hex: '#87ceeb',
+    accessories: Object.freeze([]),
+    size: 'normal',
+    effect: 'none'
+});
+
+class CustomizationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CustomizationError';
+        this.status = status;
+    }
+}
+
+function has(object, key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// '#FF69B4 ' → '#ff69b4'; null when it is not a six-digit hex color
+function parseHexColor(value) {
+    const hex = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return HEX_COLOR.test(hex) ? hex : null;
+}
+
+// Checkout input → complete, validated customization. Missing fields take
+// the defaults; unknown fields and choices are rejected.
+function normalizeCustomization(input) {
+    const customization = { ...DEFAULT_CUSTOMIZATION, accessories: [] };
+    if (input === undefined || input === null) return customization;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new CustomizationError('customization must be an object');
+    }
+
+    const unknown = Object.keys(input).filter(key => !has(DEFAULT_CUSTOMIZATION, key));
+    if (unknown.length > 0) {
+        throw new CustomizationError(`Unknown customization: ${unknown.join(', ')}`);
+    }
+
+    for (const [field, choices] of Object.entries(OPTIONS)) {
+        if (input[field] === undefined) continue;
+        if (!has(choices, input[field])) {
+            throw new CustomizationError(`${field} must be one of: ${Object.keys(choices).join(', ')}`);
+        }
+        customization[field] = input[field];
+    }
+
+    for (const field of ['horn_hex', 'wing_hex']) {
+        if (input[field] === undefined) continue;
+        customization[field] = parseHexColor(input[field]);
+        if (!customization[field]) {
+            throw new CustomizationError(`${field} must be a hex color like #ff69b4`);
+        }
+    }
+
+    if (input.accessories !== undefined) {
+        if (!Array.isArray(input.accessories)) {
+            throw new CustomizationError('accessories must be a list');
+        }
+        const invalid = input.accessories.filter(accessory => !has(ACCESSORIES, accessory));
+        if (invalid.length > 0) {
+            throw new CustomizationError(`Unknown accessories: ${invalid.join(', ')}`);
+        }
+        // Canonical order, no repeats
+        customization.accessories = Object.keys(ACCESSORIES).filter(accessory => input.accessories.includes(accessory));
+        if (customization.accessories.length > MAX_ACCESSORIES) {
+            throw new CustomizationError(`At most ${MAX_ACCESSORIES} accessories per unicorn`);
+        }
+    }
+
+    return customization;
+}
+
+// Extra price per unicorn for a normalized customization. price turns each
+// option's base-currency price into the order's currency (see currencies.js).
+function customizationPrice(customization, price = amount => amount) {
+    return Object.entries(OPTIONS).reduce((sum, [field, choices]) => sum + price(choices[customization[field]]), 0) +
+        customization.accessories.reduce((sum, accessory) => sum + price(ACCESSORIES[accessory]), 0);
+}
+
+// Customization as unicorns columns (accessories as JSON text)
+function customizationColumns(customization = DEFAULT_CUSTOMIZATION) {
+    return { ...customization, accessories: JSON.stringify(customization.accessories) };
+}
+
+// A unicorns row's customization; rows from before the columns get the defaults
+function customizationOf(row) {
+    const customization = {};
+    for (const field of Object.keys(DEFAULT_CUSTOMIZATION)) {
+        customization[field] = row[field] === undefined || row[field] === null ? DEFAULT_CUSTOMIZATION[field] : row[field];
+    }
+    if (typeof customization.accessories === 'string') {
+        customization.accessories = JSON.parse(customization.accessories);
+    }
+    return customization;
+}
+
+// Everything the purchase form needs to offer and price the options, with
+// prices passed through price like customizationPrice()
+function customizationCatalog(price = amount => amount) {
+    const priced = choices => Object.fromEntries(
+        Object.entries(choices).map(([choice, amount]) => [choice, price(amount)])
+    );
+    const options = Object.fromEntries(
+        Object.entries(OPTIONS).map(([field, choices]) => [field, priced(choices)])
+    );
+    return {
+        options: options,
+        accessories: priced(ACCESSORIES),
+        max_accessories: MAX_ACCESSORIES,
+        size_scales: SIZE_SCALES,
+        custom_color_price: price(CUSTOM_COLOR_PRICE),
+        defaults: DEFAULT_CUSTOMIZATION
+    };
+}
+
+module.exports = {
+    CUSTOM_COLOR_NAME,
+    CUSTOM_COLOR_PRICE,
+    CustomizationError,
+    DEFAULT_CUSTOMIZATION,
+    SIZE_SCALES,
+    customizationCatalog,
+    customizationColumns,
+    customizationOf,
+    customizationPrice,
+    normalizeCustomization,
+    parseHexColor
+};
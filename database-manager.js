@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+// Command-line tools for the unicorn database.
+// Run `node database-manager.js help` for the list of commands.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const UnicornDatabase = require('./database.js');
+const SqliteStorage = require('./sqlite-storage.js');
+const migrator = require('./migrator.js');
+const { formatAmount } = require('./currencies.js');
+const { chunkOf } = require('./spatial.js');
+
+// Tables that can be exported and imported; users stay out (password hashes)
+const EXPORTABLE_TABLES = ['unicorns', 'payments'];
+const BACKUP_DIR = path.join(__dirname, 'backups');
+
+const USAGE = `
+🦄 Space Unicorns database manager
+
+Usage: node database-manager.js <command> [options]
+
+Commands:
+  stats                              Totals for unicorns, payments and accounts
+  list [--limit N] [--offset N]      List unicorns, newest first
+       [--q text] [--session id]
+  search <text> [--limit N]          List unicorns whose name or payment intent id matches
+  export [--table unicorns|payments] Write a table to a JSON or CSV file
+         [--format json|csv] [--out file]
+  import <file> [--table unicorns|payments]
+                                     Load rows from a JSON or CSV export; rows whose
+                                     id already exists are skipped
+  backup [file]                      Consistent copy of the database (default: backups/)
+  restore <file>                     Replace the database with a backup; stop the
+                                     server first. The current file is backed up.
+                                     (backup and restore: SQLite only)
+  admin grant|revoke <email>         Give or take away /admin access for an account
+  admin list                         List the accounts with /admin access
+  migrate status                     Show applied and pending migrations
+  migrate up [--to N]                Apply pending migrations (up to version N)
+  migrate down [--steps N]           Revert the latest N migrations (default 1)
+
+The database comes from DATABASE_URL, as for the server.
+`;
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvEscape(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// RFC 4180 CSV → array of objects keyed by the header row; '' becomes null
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+    if (!header) return [];
+    return rows.map(values => Object.fromEntries(
+        header.map((column, i) => [column, values[i] === undefined || values[i] === '' ? null : values[i]])
+    ));
+}
+
+function requireTable(table) {
+    if (!EXPORTABLE_TABLES.includes(table)) {
+        throw new Error(`--table must be one of: ${EXPORTABLE_TABLES.join(', ')}`);
+    }
+    return table;
+}
+
+// File-level commands; PostgreSQL has pg_dump and pg_restore for this
+function requireSqlite(db, command) {
+    if (db.dialect !== 'sqlite') {
+        throw new Error(`${command} works on SQLite only; use pg_dump/pg_restore for PostgreSQL`);
+    }
+}
+
+async function showStats(db) {
+    const stats = await db.get(`
+        SELECT
+            (SELECT COUNT(*) FROM unicorns) as unicorns,
+            (SELECT COUNT(*) FROM unicorns WHERE hidden = 0 AND refunded_at IS NULL) as visible,
+            (SELECT COUNT(*) FROM unicorns WHERE hidden = 1) as hidden,
+            (SELECT COUNT(*) FROM unicorns WHERE refunded_at IS NOT NULL) as refunded,
+            (SELECT COUNT(*) FROM users) as accounts,
+            (SELECT COUNT(DISTINCT user_session) FROM payments) as customers
+    `);
+    const payments = await db.all('SELECT status, COUNT(*) as count FROM payments GROUP BY status ORDER BY status');
+    const revenue = await db.getRevenue();
+    const migrations = await migrator.status(db);
+    const applied = migrations.filter(m => m.applied);
+
+    console.log('\n📊 Database statistics');
+    if (db.dialect === 'sqlite') {
+        console.log(`   File: ${db.filename} (${(fs.statSync(db.filename).size / 1024).toFixed(1)} KB)`);
+    } else {
+        console.log(`   Backend: ${db.dialect}`);
+    }
+    console.log(`   Unicorns: ${stats.unicorns} (${stats.visible} visible, ${stats.hidden} hidden, ${stats.refunded} refunded)`);
+    console.log(`   Payments: ${payments.map(p => `${p.count} ${p.status}`).join(', ') || 'none'}`);
+    console.log(`   Net revenue: ${Object.entries(revenue).map(([currency, amount]) => formatAmount(amount, currency)).join(', ') || 'none'}`);
+    console.log(`   Customers (sessions): ${stats.customers}`);
+    console.log(`   Accounts: ${stats.accounts}`);
+    console.log(`   Schema version: ${applied.length ? applied[applied.length - 1].version : 'none'} (${migrations.length - applied.length} pending)`);
+}
+
+async function listUnicorns(db, filters) {
+    const page = await db.searchUnicorns(filters);
+    if (page.rows.length === 0) {
+        console.log('No unicorns found');
+        return;
+    }
+
+    console.table(page.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        color: row.color_name,
+        created_at: row.created_at,
+        state: row.refunded_at ? 'refunded' : (row.hidden ? 'hidden' : 'visible')
+    })));
+    console.log(`Showing ${page.offset + 1}-${page.offset + page.rows.length} of ${page.total}`);
+}
+
+async function exportTable(db, { table, format, out }) {
+    requireTable(table);
+    if (!['json', 'csv'].includes(format)) {
+        throw new Error('--format must be json or csv');
+    }
+
+    const rows = await db.all(`SELECT * FROM ${table} ORDER BY created_at ASC, id ASC`);
+    const file = out || `${table}-export-${timestamp()}.${format}`;
+    fs.writeFileSync(file, format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2));
+    console.log(`📦 Exported ${rows.length} ${table} to ${file}`);
+}
+
+async function importTable(db, file, { table }) {
+    requireTable(table);
+    if (!file) throw new Error('import needs a file');
+
+    const text = fs.readFileSync(file, 'utf8');
+    const rows = path.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : JSON.parse(text);
+    if (!Array.isArray(rows)) {
+        throw new Error('The import file must contain an array of rows');
+    }
+
+    // Only columns this schema knows about; ids keep imports idempotent
+    const columns = await db.storage.columns(table);
+    let inserted = 0;
+
+    await db.transaction(async () => {
+        for (const source of rows) {
+            const row = { ...source };
+            if (!row.id) throw new Error(`Every ${table} row needs an id`);
+
+            if (table === 'unicorns' && (row.chunk_x === undefined || row.chunk_x === null)) {
+                const chunk = chunkOf({ x: Number(row.position_x), y: Number(row.position_y), z: Number(row.position_z) });
+                Object.assign(row, { chunk_x: chunk.x, chunk_y: chunk.y, chunk_z: chunk.z });
+            }
+
+            const present = columns.filter(column => row[column] !== undefined);
+            const result = await db.run(
+                `INSERT OR IGNORE INTO ${table} (${present.join(', ')}) VALUES (${present.map(() => '?').join(', ')})`,
+                present.map(column => row[column])
+            );
+            inserted += result.changes;
+        }
+    });
+
+    console.log(`📥 Imported ${inserted} ${table} from ${file} (${rows.length - inserted} already present)`);
+}
+
+async function backup(db, file) {
+    requireSqlite(db, 'backup');
+    const target = file || path.join(BACKUP_DIR, `unicorns-${timestamp()}.db`);
+    if (fs.existsSync(target)) {
+        throw new Error(`${target} already exists`);
+    }
+    fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+
+    await db.storage.backup(target);
+    console.log(`💾 Backup written to ${target}`);
+    return target;
+}
+
+// Closes db whether or not the restore succeeds; resolves to the restored database
+async function restore(db, file) {
+    let safetyCopy;
+    try {
+        requireSqlite(db, 'restore');
+        if (!file || !fs.existsSync(file)) {
+            throw new Error('restore needs an existing backup file');
+        }
+        const header = Buffer.alloc(16);
+        const fd = fs.openSync(file, 'r');
+        fs.readSync(fd, header, 0, 16, 0);
+        fs.closeSync(fd);
+        if (header.toString('latin1') !== 'SQLite format 3\0') {
+            throw new Error(`${file} is not a SQLite database`);
+        }
+
+        console.log('⚠️  Make sure the server is stopped before restoring');
+        safetyCopy = await backup(db, path.join(BACKUP_DIR, `pre-restore-${timestamp()}.db`));
+    } finally {
+        await db.close();
+    }
+    fs.copyFileSync(file, db.filename);
+    console.log(`♻️  Restored ${db.filename} from ${file} (previous data in ${safetyCopy})`);
+
+    // Older backups are brought up to the current schema
+    const restored = new UnicornDatabase({ storage: new SqliteStorage(db.filename) });
+    await restored.ready;
+    return restored;
+}
+
+// The only way to make an operator: signing up with any email never does
+async function manageAdmins(db, action, email) {
+    if (action === 'list') {
+        const admins = await db.getAdmins();
+        if (admins.length === 0) {
+            console.log('No admin accounts');
+        } else {
+            console.table(admins.map(admin => ({ email: admin.email, created_at: admin.created_at })));
+        }
+        return;
+    }
+    if (action !== 'grant' && action !== 'revoke') {
+        throw new Error('admin needs grant, revoke or list');
+    }
+    if (!email) throw new Error(`admin ${action} needs an email`);
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (!(await db.setAdmin(normalizedEmail, action === 'grant'))) {
+        throw new Error(`No account uses ${normalizedEmail}; sign up on the shop first`);
+    }
+    console.log(action === 'grant' ? `🔑 ${normalizedEmail} is now an admin` : `🔒 ${normalizedEmail} is no longer an admin`);
+}
+
+async function migrate(db, action, { to, steps }) {
+    if (action === 'up') {
+        await migrator.migrateUp(db, { target: to === undefined ? Infinity : parseInt(to, 10) });
+    } else if (action === 'down') {
+        const reverted = await migrator.migrateDown(db, { steps: steps === undefined ? 1 : parseInt(steps, 10) });
+        if (reverted.length === 0) console.log('Nothing to revert');
+    } else if (action === 'status') {
+        const migrations = await migrator.status(db);
+        console.table(migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            status: m.applied ? 'applied' : 'pending',
+            applied_at: m.appliedAt || ''
+        })));
+    } else {
+        throw new Error('migrate needs up, down or status');
+    }
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            limit: { type: 'string' },
+            offset: { type: 'string' },
+            q: { type: 'string' },
+            session: { type: 'string' },
+            table: { type: 'string', default: 'unicorns' },
+            format: { type: 'string' },
+            out: { type: 'string' },
+            to: { type: 'string' },
+            steps: { type: 'string' }
+        }
+    });
+    const [command, ...args] = positionals;
+
+    if (!command || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+
+    // Migration commands manage the schema themselves
+    let db = new UnicornDatabase({ migrate: command !== 'migrate' });
+    await db.ready;
+
+    try {
+        switch (command) {
+            case 'stats':
+                await showStats(db);
+                break;
+            case 'list':
+                await listUnicorns(db, { limit: values.limit || 20, offset: values.offset, q: values.q, session: values.session });
+                break;
+            case 'search':
+                if (!args[0]) throw new Error('search needs some text');
+                await listUnicorns(db, { limit: values.limit || 20, offset: values.offset, q: args[0] });
+                break;
+            case 'export': {
+                const format = values.format || (values.out && path.extname(values.out).slice(1).toLowerCase()) || 'json';
+                await exportTable(db, { table: values.table, format, out: values.out });
+                break;
+            }
+            case 'import':
+                await importTable(db, args[0], { table: values.table });
+                break;
+            case 'backup':
+                await backup(db, args[0]);
+                break;
+            case 'restore': {
+                // restore closes the database it replaces, so only the restored one is left
+                const replaced = db;
+                db = null;
+                db = await restore(replaced, args[0]);
+                break;
+            }
+            case 'migrate':
+                await migrate(db, args[0], values);
+                break;
+            case 'admin':
+                await manageAdmins(db, args[0], args[1]);
+                break;
+            default:
+                throw new Error(`Unknown command: ${command}\n${USAGE}`);
+        }
+    } finally {
+        if (db) await db.close();
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -1,256 +1,1140 @@
-const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
+const { chunkOf, encodeCursor } = require('./spatial.js');
+const { createStorage } = require('./storage.js');
+const migrator = require('./migrator.js');
+const { BASE_CURRENCY } = require('./currencies.js');
+const { customizationColumns } = require('./customization.js');
+const { closestNames, escapeLike } = require('./search.js');
+const log = require('./logger.js');
 
+// Unicorns shown in the public galaxy
+const VISIBLE_UNICORN = 'hidden = 0 AND refunded_at IS NULL';
+
+// Who a unicorn belongs to: its account, or the shop session that bought it
+// before signing in. Never sent to clients.
+const UNICORN_OWNER = 'COALESCE(user_id, user_session)';
+
+// Payments that may still be paid: awaiting the card, or declined and retryable
+const UNSETTLED_PAYMENT = "status IN ('pending', 'failed')";
+
+// Ids per IN (...) lookup
+const ID_BATCH_SIZE = 500;
+
+// Fuzzy search keeps base names in memory; sales in other server processes
+// show up in it within this long
+const BASE_NAMES_TTL_MS = 60000;
+
+// Held while an order or an import is placed, so server processes sharing
+// the database place unicorns one batch at a time
+const PLACEMENT_LOCK = 'unicorn_placement';
+
+// A gift claim with its payment and how many of its unicorns are still live
+const GIFT_CLAIM_QUERY = `
+    SELECT g.*, p.status as payment_status, p.base_name, p.total_unicorns,
+        (SELECT COUNT(*) FROM unicorns u
+         WHERE u.payment_intent_id = g.payment_intent_id AND u.refunded_at IS NULL) as unicorn_count
+    FROM gift_claims g
+    LEFT JOIN payments p ON p.payment_intent_id = g.payment_intent_id`;
+
+// The shop's data access. SQL is written in the SQLite dialect and runs on
+// whichever storage driver DATABASE_URL selects (see storage.js).
 class UnicornDatabase {
-    constructor() {
-        this.db = null;
-        this.init();
-    }
-
-    init() {
-        // Create database file
-        const dbPath = path.join(__dirname, 'unicorns.db');
-        this.db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('❌ Error opening database:', err.message);
-            } else {
-                console.log('🗄️ Connected to SQLite database');
-                this.createTables();
-            }
-        });
+    constructor({ storage = createStorage(), migrate = true } = {}) {
+        this.storage = storage;
+        this.baseNames = null; // { loadedAt, names: Promise of a Set }, see getPurchaseBaseNames
+        // Resolves once the database is open and, unless disabled, migrated
+        this.ready = this.init({ migrate });
     }
 
-    createTables() {
-        // Create tables if they don't exist
-        const createUnicornsTable = `
-            CREATE TABLE IF NOT EXISTS unicorns (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                color_name TEXT NOT NULL,
-                color_hex TEXT NOT NULL,
-                position_x REAL NOT NULL,
-                position_y REAL NOT NULL,
-                position_z REAL NOT NULL,
-                initial_rotation REAL NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                payment_intent_id TEXT,
-                user_session TEXT
-            )
-        `;
+    get dialect() {
+        return this.storage.dialect;
+    }
 
-        const createPaymentsTable = `
-            CREATE TABLE IF NOT EXISTS payments (
-                id TEXT PRIMARY KEY,
-                payment_intent_id TEXT UNIQUE NOT NULL,
-                base_name TEXT NOT NULL,
-                total_unicorns INTEGER NOT NULL,
-                total_amount INTEGER NOT NULL,
-                currency TEXT NOT NULL,
-                status TEXT NOT NULL,
-                unicorn_orders TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                completed_at DATETIME,
-                user_session TEXT
-            )
-        `;
+    // SQLite file path; null on PostgreSQL
+    get filename() {
+        return this.storage.filename;
+    }
 
-        const createStatsTable = `
-            CREATE TABLE IF NOT EXISTS stats (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                total_unicorns INTEGER NOT NULL,
-                total_revenue INTEGER NOT NULL,
-                space_radius REAL NOT NULL,
-                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
+    async init({ migrate }) {
+        await this.storage.open();
 
-        this.db.run(createUnicornsTable, (err) => {
-            if (err) console.error('❌ Error creating unicorns table:', err);
-            else console.log('✅ Unicorns table ready');
-        });
+        // Schema changes live in numbered files under migrations/
+        if (migrate) {
+            await migrator.migrateUp(this);
+        }
+    }
 
-        this.db.run(createPaymentsTable, (err) => {
-            if (err) console.error('❌ Error creating payments table:', err);
-            else console.log('✅ Payments table ready');
-        });
+    // For migrations: databases created before migrations existed may
+    // already have the column
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.storage.columns(table);
+        if (columns.includes(column)) return;
+
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        log.info('✅ Added column', { table, column });
+    }
+
+    // Query helpers used by every method; run resolves to { changes }
+    run(sql, params = []) {
+        return this.storage.run(sql, params);
+    }
+
+    get(sql, params = []) {
+        return this.storage.get(sql, params);
+    }
+
+    all(sql, params = []) {
+        return this.storage.all(sql, params);
+    }
+
+    // Run work() inside a transaction, rolling back if it throws
+    transaction(work) {
+        return this.storage.transaction(work);
+    }
+
+    // Messages for every server process on this database; the sender gets
+    // its own messages too (see LiveUpdates)
+    subscribe(channel, onMessage) {
+        return this.storage.subscribe(channel, onMessage);
+    }
+
+    publish(channel, message) {
+        return this.storage.publish(channel, message);
+    }
+
+    // For readiness checks: rejects when the database cannot answer a query
+    async ping() {
+        await this.get('SELECT 1 AS ok');
+    }
+
+    // Check whether a Stripe event has already been handled
+    async isEventProcessed(eventId) {
+        const row = await this.get('SELECT event_id FROM processed_events WHERE event_id = ?', [eventId]);
+        return !!row;
+    }
+
+    // Record a Stripe event that needed no database changes
+    async markEventProcessed(eventId, eventType, paymentIntentId = null) {
+        await this.run(
+            'INSERT OR IGNORE INTO processed_events (event_id, event_type, payment_intent_id) VALUES (?, ?, ?)',
+            [eventId, eventType, paymentIntentId]
+        );
+    }
+
+    // Add an event to the ledger; false when it was already there.
+    // Call inside a transaction so the entry commits with the event's effects.
+    async recordEvent(eventId, eventType, paymentIntentId) {
+        const ledger = await this.run(
+            'INSERT OR IGNORE INTO processed_events (event_id, event_type, payment_intent_id) VALUES (?, ?, ?)',
+            [eventId, eventType, paymentIntentId]
+        );
+        return ledger.changes > 0;
+    }
+
+    // Fulfill a succeeded payment atomically: ledger entry, status update and
+    // every unicorn insert commit together or not at all. buildUnicorns receives
+    // the current unicorn count and returns (or resolves to) the unicorns to save.
+    async fulfillPayment({ eventId, eventType, paymentIntentId, completedAt, buildUnicorns }) {
+        return this.transaction(async () => {
+            if (!(await this.recordEvent(eventId, eventType, paymentIntentId))) {
+                log.info('↩️ Event already processed, skipping', { event_id: eventId });
+                return { alreadyProcessed: true, unicorns: [] };
+            }
+
+            // A different event for the same intent must not mint a second herd
+            const existing = await this.get(
+                'SELECT COUNT(*) as count FROM unicorns WHERE payment_intent_id = ?',
+                [paymentIntentId]
+            );
+            if (existing.count > 0) {
+                log.info('↩️ Payment already fulfilled, skipping', { payment_intent_id: paymentIntentId });
+                return { alreadyProcessed: true, unicorns: [] };
+            }
+
+            // Claims the payment row: on PostgreSQL a concurrent fulfillment
+            // under another event id waits here, then matches nothing
+            const claimed = await this.run(
+                'UPDATE payments SET status = ?, completed_at = ? WHERE payment_intent_id = ? AND status <> ?',
+                ['succeeded', completedAt, paymentIntentId, 'succeeded']
+            );
+            if (claimed.changes === 0 && await this.getPayment(paymentIntentId)) {
+                log.info('↩️ Payment already fulfilled, skipping', { payment_intent_id: paymentIntentId });
+                return { alreadyProcessed: true, unicorns: [] };
+            }
 
-        this.db.run(createStatsTable, (err) => {
-            if (err) console.error('❌ Error creating stats table:', err);
-            else console.log('✅ Stats table ready');
+            // The session may have been claimed by an account since checkout
+            const payment = await this.get(
+                'SELECT user_id, base_name FROM payments WHERE payment_intent_id = ?',
+                [paymentIntentId]
+            );
+            const ownerId = payment ? payment.user_id : null;
+            if (payment) this.rememberBaseName(payment.base_name);
+
+            // Gifted unicorns stay unowned until the recipient redeems the claim
+            const gift = await this.get(
+                'SELECT id FROM gift_claims WHERE payment_intent_id = ?',
+                [paymentIntentId]
+            );
+
+            // Counted under the lock, so it includes every unicorn placed so far
+            await this.storage.lock(PLACEMENT_LOCK);
+            const { count } = await this.get('SELECT COUNT(*) as count FROM unicorns');
+            const unicorns = await buildUnicorns(count);
+
+            const insertedIds = [];
+            for (const unicorn of unicorns) {
+                const unicornId = uuidv4();
+                insertedIds.push(unicornId);
+                const chunk = chunkOf(unicorn.position);
+                const custom = customizationColumns(unicorn.customization);
+                await this.run(`
+                    INSERT INTO unicorns (
+                        id, name, color_name, color_hex,
+                        position_x, position_y, position_z, initial_rotation,
+                        payment_intent_id, user_session, user_id,
+                        chunk_x, chunk_y, chunk_z,
+                        horn_style, horn_hex, wing_style, wing_hex, accessories, size, effect
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    unicornId, unicorn.name, unicorn.colorName, unicorn.colorHex,
+                    unicorn.position.x, unicorn.position.y, unicorn.position.z, unicorn.initialRotation,
+                    paymentIntentId,
+                    gift ? null : unicorn.userSession,
+                    gift ? null : (unicorn.userId || ownerId),
+                    chunk.x, chunk.y, chunk.z,
+                    custom.horn_style, custom.horn_hex, custom.wing_style, custom.wing_hex,
+                    custom.accessories, custom.size, custom.effect
+                ]);
+            }
+
+            // Return stored rows, same shape as getAllUnicorns(), in insertion order
+            const order = new Map(insertedIds.map((id, i) => [id, i]));
+            const saved = (await this.all('SELECT * FROM unicorns WHERE payment_intent_id = ?', [paymentIntentId]))
+                .sort((a, b) => order.get(a.id) - order.get(b.id));
+
+            log.info('✅ Payment fulfilled', { payment_intent_id: paymentIntentId, unicorns: saved.length });
+            return { alreadyProcessed: false, unicorns: saved };
         });
     }
 
     // Save a single unicorn
     async saveUnicorn(unicornData) {
-        return new Promise((resolve, reject) => {
-            const {
-                name, colorName, colorHex, position, initialRotation,
-                paymentIntentId, userSession
-            } = unicornData;
-
-            const unicornId = uuidv4();
-            const sql = `
-                INSERT INTO unicorns (
-                    id, name, color_name, color_hex,
-                    position_x, position_y, position_z, initial_rotation,
-                    payment_intent_id, user_session
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            this.db.run(sql, [
+        const {
+            name, colorName, colorHex, position, initialRotation,
+            paymentIntentId, userSession, userId = null, customization
+        } = unicornData;
+
+        const unicornId = uuidv4();
+        const chunk = chunkOf(position);
+        const custom = customizationColumns(customization);
+        const sql = `
+            INSERT INTO unicorns (
+                id, name, color_name, color_hex,
+                position_x, position_y, position_z, initial_rotation,
+                payment_intent_id, user_session, user_id,
+                chunk_x, chunk_y, chunk_z,
+                horn_style, horn_hex, wing_style, wing_hex, accessories, size, effect
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            await this.run(sql, [
                 unicornId, name, colorName, colorHex,
                 position.x, position.y, position.z, initialRotation,
-                paymentIntentId, userSession
-            ], function(err) {
-                if (err) {
-                    console.error('❌ Error saving unicorn:', err);
-                    reject(err);
-                } else {
-                    console.log(`✅ Unicorn saved: ${name} (${colorName}) - ID: ${unicornId}`);
-                    resolve({ id: unicornId, ...unicornData });
-                }
-            });
-        });
+                paymentIntentId, userSession, userId,
+                chunk.x, chunk.y, chunk.z,
+                custom.horn_style, custom.horn_hex, custom.wing_style, custom.wing_hex,
+                custom.accessories, custom.size, custom.effect
+            ]);
+        } catch (err) {
+            log.error('❌ Error saving unicorn', { error: err });
+            throw err;
+        }
+
+        log.info('✅ Unicorn saved', { unicorn_id: unicornId, name, color_name: colorName });
+        return { id: unicornId, ...unicornData };
     }
 
     // Save payment record
     async savePayment(paymentData) {
-        return new Promise((resolve, reject) => {
-            const {
-                paymentIntentId, baseName, totalUnicorns, totalAmount,
-                currency, status, unicornOrders, userSession
-            } = paymentData;
-
-            const sql = `
-                INSERT INTO payments (
-                    id, payment_intent_id, base_name, total_unicorns,
-                    total_amount, currency, status, unicorn_orders, user_session
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            this.db.run(sql, [
+        const {
+            paymentIntentId, baseName, totalUnicorns, totalAmount,
+            currency, status, unicornOrders, userSession, userId = null, resumeTokenHash = null,
+            receiptEmail = null, customization = null
+        } = paymentData;
+
+        const sql = `
+            INSERT INTO payments (
+                id, payment_intent_id, base_name, total_unicorns,
+                total_amount, currency, status, unicorn_orders, user_session, user_id,
+                resume_token_hash, receipt_email, customization
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            await this.run(sql, [
                 uuidv4(), paymentIntentId, baseName, totalUnicorns,
-                totalAmount, currency, status, JSON.stringify(unicornOrders), userSession
-            ], function(err) {
-                if (err) {
-                    console.error('❌ Error saving payment:', err);
-                    reject(err);
-                } else {
-                    console.log(`✅ Payment saved: ${paymentIntentId}`);
-                    resolve(paymentData);
-                }
-            });
-        });
+                totalAmount, currency, status, JSON.stringify(unicornOrders), userSession, userId,
+                resumeTokenHash, receiptEmail, customization ? JSON.stringify(customization) : null
+            ]);
+        } catch (err) {
+            log.error('❌ Error saving payment', { payment_intent_id: paymentIntentId, error: err });
+            throw err;
+        }
+
+        log.info('✅ Payment saved', { payment_intent_id: paymentIntentId });
+        return paymentData;
+    }
+
+    // Every stored position, for the placement index. Hidden and refunded
+    // unicorns keep their spot: moderation can bring them back.
+    async getAllPositions() {
+        const rows = await this.all('SELECT position_x, position_y, position_z FROM unicorns');
+        return rows.map(row => ({ x: row.position_x, y: row.position_y, z: row.position_z }));
     }
 
     // Get all unicorns
     async getAllUnicorns() {
-        return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM unicorns ORDER BY created_at ASC';
-            
-            this.db.all(sql, [], (err, rows) => {
-                if (err) {
-                    console.error('❌ Error fetching unicorns:', err);
-                    reject(err);
-                } else {
-                    console.log(`📊 Loaded ${rows.length} unicorns from database`);
-                    resolve(rows);
-                }
-            });
-        });
+        try {
+            // Hidden (moderated) and refunded unicorns leave the public galaxy
+            const rows = await this.all(`SELECT * FROM unicorns WHERE ${VISIBLE_UNICORN} ORDER BY created_at ASC`);
+            log.debug('📊 Loaded unicorns from database', { unicorns: rows.length });
+            return rows;
+        } catch (err) {
+            log.error('❌ Error fetching unicorns', { error: err });
+            throw err;
+        }
+    }
+
+    // One page of visible unicorns in (created_at, id) order.
+    // after is a decoded cursor; box optionally restricts to a bounding box.
+    async getUnicornsPage({ after = null, limit = 1000, box = null } = {}) {
+        const where = [VISIBLE_UNICORN];
+        const params = [];
+
+        if (after) {
+            where.push('(created_at > ? OR (created_at = ? AND id > ?))');
+            params.push(after.createdAt, after.createdAt, after.id);
+        }
+        if (box) {
+            where.push('position_x BETWEEN ? AND ? AND position_y BETWEEN ? AND ? AND position_z BETWEEN ? AND ?');
+            params.push(box.minX, box.maxX, box.minY, box.maxY, box.minZ, box.maxZ);
+        }
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await this.all(
+            `SELECT * FROM unicorns WHERE ${where.join(' AND ')} ORDER BY created_at ASC, id ASC LIMIT ?`,
+            [...params, limit + 1]
+        );
+        const hasMore = rows.length > limit;
+        const unicorns = hasMore ? rows.slice(0, limit) : rows;
+
+        return {
+            unicorns,
+            nextCursor: hasMore ? encodeCursor(unicorns[unicorns.length - 1]) : null
+        };
+    }
+
+    // Visible unicorns in the given chunks ([{ x, y, z }])
+    async getUnicornsInChunks(chunks) {
+        if (chunks.length === 0) return [];
+
+        const match = chunks.map(() => '(chunk_x = ? AND chunk_y = ? AND chunk_z = ?)').join(' OR ');
+        const params = chunks.flatMap(chunk => [chunk.x, chunk.y, chunk.z]);
+        return this.all(`SELECT * FROM unicorns WHERE ${VISIBLE_UNICORN} AND (${match})`, params);
+    }
+
+    // Visible unicorn count per non-empty chunk
+    async getChunkIndex() {
+        return this.all(`
+            SELECT chunk_x as x, chunk_y as y, chunk_z as z, COUNT(*) as count
+            FROM unicorns
+            WHERE ${VISIBLE_UNICORN}
+            GROUP BY chunk_x, chunk_y, chunk_z
+        `);
     }
 
     // Get unicorns by session (for user-specific loading)
     async getUnicornsBySession(userSession) {
-        return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM unicorns WHERE user_session = ? ORDER BY created_at ASC';
-            
-            this.db.all(sql, [userSession], (err, rows) => {
-                if (err) {
-                    console.error('❌ Error fetching user unicorns:', err);
-                    reject(err);
-                } else {
-                    console.log(`📊 Loaded ${rows.length} unicorns for user ${userSession}`);
-                    resolve(rows);
-                }
-            });
+        try {
+            const rows = await this.all(
+                'SELECT * FROM unicorns WHERE user_session = ? AND refunded_at IS NULL ORDER BY created_at ASC',
+                [userSession]
+            );
+            log.debug('📊 Loaded unicorns for session', { unicorns: rows.length, session: userSession });
+            return rows;
+        } catch (err) {
+            log.error('❌ Error fetching user unicorns', { error: err });
+            throw err;
+        }
+    }
+
+    // Get unicorns owned by a registered user
+    async getUnicornsByUser(userId) {
+        try {
+            const rows = await this.all(
+                'SELECT * FROM unicorns WHERE user_id = ? AND refunded_at IS NULL ORDER BY created_at ASC',
+                [userId]
+            );
+            log.debug('📊 Loaded unicorns for account', { unicorns: rows.length, user_id: userId });
+            return rows;
+        } catch (err) {
+            log.error('❌ Error fetching user unicorns', { error: err });
+            throw err;
+        }
+    }
+
+    // Create an account; rejects with a UNIQUE constraint error on duplicate email
+    async createUser(email, passwordHash) {
+        const userId = uuidv4();
+        await this.run(
+            'INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)',
+            [userId, email, passwordHash]
+        );
+        log.info('✅ Account created', { user_id: userId, email });
+        return { id: userId, email };
+    }
+
+    async getUserByEmail(email) {
+        return this.get('SELECT * FROM users WHERE email = ?', [email]);
+    }
+
+    async getUserById(userId) {
+        return this.get('SELECT * FROM users WHERE id = ?', [userId]);
+    }
+
+    // Grant or revoke operator rights; false when no account uses the email
+    async setAdmin(email, isAdmin) {
+        const result = await this.run('UPDATE users SET is_admin = ? WHERE email = ?', [isAdmin ? 1 : 0, email]);
+        if (result.changes > 0) {
+            log.info(isAdmin ? '🔑 Admin access granted' : '🔒 Admin access revoked', { email });
+        }
+        return result.changes > 0;
+    }
+
+    async getAdmins() {
+        return this.all('SELECT id, email, created_at FROM users WHERE is_admin = 1 ORDER BY email ASC');
+    }
+
+    // Attach an anonymous session's unicorns and payments to an account.
+    // Only rows not already owned by another account move.
+    async claimSession(userId, userSession) {
+        return this.transaction(async () => {
+            await this.run(`
+                INSERT INTO unicorn_transfers (unicorn_id, from_session, to_user_id, reason)
+                SELECT id, user_session, ?, 'session_claim'
+                FROM unicorns WHERE user_session = ? AND user_id IS NULL
+            `, [userId, userSession]);
+            const unicorns = await this.run(
+                'UPDATE unicorns SET user_id = ? WHERE user_session = ? AND user_id IS NULL',
+                [userId, userSession]
+            );
+            await this.run(
+                'UPDATE payments SET user_id = ? WHERE user_session = ? AND user_id IS NULL',
+                [userId, userSession]
+            );
+            log.info('✅ Session claimed', { session: userSession, user_id: userId, unicorns: unicorns.changes });
+            return { claimedUnicorns: unicorns.changes };
+        });
+    }
+
+    // Store the claim for a gifted payment, created together with the payment
+    async createGiftClaim({ paymentIntentId, tokenHash, recipientEmail, message, senderSession, senderUserId }) {
+        const claimId = uuidv4();
+        await this.run(`
+            INSERT INTO gift_claims (
+                id, payment_intent_id, token_hash, recipient_email, message,
+                sender_session, sender_user_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [claimId, paymentIntentId, tokenHash, recipientEmail, message, senderSession, senderUserId]);
+        log.info('🎁 Gift claim created', { gift_id: claimId, payment_intent_id: paymentIntentId });
+        return { id: claimId };
+    }
+
+    // Gift claim with its payment, looked up by the hash of either link:
+    // the buyer's or the one emailed to the recipient
+    async getGiftClaim(tokenHash) {
+        return this.get(`${GIFT_CLAIM_QUERY} WHERE g.token_hash = ? OR g.email_token_hash = ?`, [tokenHash, tokenHash]);
+    }
+
+    async getGiftClaimByPayment(paymentIntentId) {
+        return this.get(`${GIFT_CLAIM_QUERY} WHERE g.payment_intent_id = ?`, [paymentIntentId]);
+    }
+
+    // Replace the buyer's link of an unclaimed gift; false once it is claimed
+    async setGiftToken(paymentIntentId, tokenHash) {
+        const result = await this.run(
+            'UPDATE gift_claims SET token_hash = ? WHERE payment_intent_id = ? AND claimed_at IS NULL',
+            [tokenHash, paymentIntentId]
+        );
+        return result.changes > 0;
+    }
+
+    // The recipient's link, set just before it is emailed; false once claimed
+    async setGiftEmailToken(claimId, tokenHash) {
+        const result = await this.run(
+            'UPDATE gift_claims SET email_token_hash = ? WHERE id = ? AND claimed_at IS NULL',
+            [tokenHash, claimId]
+        );
+        return result.changes > 0;
+    }
+
+    async markGiftEmailed(claimId) {
+        await this.run('UPDATE gift_claims SET emailed_at = ? WHERE id = ?', [new Date().toISOString(), claimId]);
+    }
+
+    // Hand a gifted payment's unicorns to the redeeming account, once.
+    // status: 'redeemed' | 'not_found' | 'already_claimed' | 'not_ready'
+    async redeemGift(tokenHash, userId) {
+        return this.transaction(async () => {
+            const claim = await this.get(
+                'SELECT * FROM gift_claims WHERE token_hash = ? OR email_token_hash = ?',
+                [tokenHash, tokenHash]
+            );
+            if (!claim) return { status: 'not_found', unicorns: [] };
+            if (claim.claimed_at) return { status: 'already_claimed', unicorns: [] };
+
+            // The webhook has not minted the unicorns yet (or the payment failed)
+            const { count } = await this.get(
+                'SELECT COUNT(*) as count FROM unicorns WHERE payment_intent_id = ? AND refunded_at IS NULL',
+                [claim.payment_intent_id]
+            );
+            if (count === 0) return { status: 'not_ready', unicorns: [] };
+
+            const claimedAt = new Date().toISOString();
+            const update = await this.run(
+                'UPDATE gift_claims SET claimed_at = ?, claimed_by_user_id = ? WHERE id = ? AND claimed_at IS NULL',
+                [claimedAt, userId, claim.id]
+            );
+            if (update.changes === 0) return { status: 'already_claimed', unicorns: [] };
+
+            await this.run(`
+                INSERT INTO unicorn_transfers (unicorn_id, from_user_id, from_session, to_user_id, reason, gift_claim_id)
+                SELECT id, ?, ?, ?, 'gift', ?
+                FROM unicorns WHERE payment_intent_id = ? AND user_id IS NULL
+            `, [claim.sender_user_id, claim.sender_session, userId, claim.id, claim.payment_intent_id]);
+            await this.run(
+                'UPDATE unicorns SET user_id = ? WHERE payment_intent_id = ? AND user_id IS NULL',
+                [userId, claim.payment_intent_id]
+            );
+
+            const unicorns = await this.all(
+                'SELECT * FROM unicorns WHERE payment_intent_id = ? AND refunded_at IS NULL ORDER BY created_at ASC, id ASC',
+                [claim.payment_intent_id]
+            );
+            log.info('🎁 Gift redeemed', { gift_id: claim.id, user_id: userId, unicorns: unicorns.length });
+            return { status: 'redeemed', unicorns };
+        });
+    }
+
+    // Move one unicorn between accounts; null unless fromUserId owns it.
+    // The buying session no longer owns it either.
+    async transferUnicorn({ unicornId, fromUserId, toUserId }) {
+        return this.transaction(async () => {
+            const unicorn = await this.get(
+                'SELECT * FROM unicorns WHERE id = ? AND user_id = ? AND refunded_at IS NULL',
+                [unicornId, fromUserId]
+            );
+            if (!unicorn) return null;
+
+            await this.run(
+                'UPDATE unicorns SET user_id = ?, user_session = NULL WHERE id = ?',
+                [toUserId, unicornId]
+            );
+            await this.run(`
+                INSERT INTO unicorn_transfers (unicorn_id, from_user_id, from_session, to_user_id, reason)
+                VALUES (?, ?, ?, ?, 'transfer')
+            `, [unicornId, fromUserId, unicorn.user_session, toUserId]);
+
+            log.info('🔁 Unicorn transferred', { unicorn_id: unicornId, from_user_id: fromUserId, to_user_id: toUserId });
+            return this.get('SELECT * FROM unicorns WHERE id = ?', [unicornId]);
         });
     }
 
+    // Ownership history of a unicorn, oldest first, with account emails
+    async getUnicornTransfers(unicornId) {
+        return this.all(`
+            SELECT t.*, fu.email as from_email, tu.email as to_email
+            FROM unicorn_transfers t
+            LEFT JOIN users fu ON fu.id = t.from_user_id
+            LEFT JOIN users tu ON tu.id = t.to_user_id
+            WHERE t.unicorn_id = ?
+            ORDER BY t.created_at ASC, t.id ASC
+        `, [unicornId]);
+    }
+
     // Update payment status
     async updatePaymentStatus(paymentIntentId, status, completedAt = null) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE payments 
-                SET status = ?, completed_at = ? 
-                WHERE payment_intent_id = ?
-            `;
-
-            this.db.run(sql, [status, completedAt, paymentIntentId], function(err) {
-                if (err) {
-                    console.error('❌ Error updating payment status:', err);
-                    reject(err);
-                } else {
-                    console.log(`✅ Payment status updated: ${paymentIntentId} → ${status}`);
-                    resolve();
-                }
-            });
-        });
+        try {
+            await this.run(
+                'UPDATE payments SET status = ?, completed_at = ? WHERE payment_intent_id = ?',
+                [status, completedAt, paymentIntentId]
+            );
+        } catch (err) {
+            log.error('❌ Error updating payment status', { payment_intent_id: paymentIntentId, error: err });
+            throw err;
+        }
+        log.info('✅ Payment status updated', { payment_intent_id: paymentIntentId, status });
+    }
+
+    // Record a failed, canceled or expired payment. Only unsettled payments
+    // change, so a late event never undoes a success; false when nothing did.
+    async settlePayment(paymentIntentId, status, failureMessage = null) {
+        const result = await this.run(
+            `UPDATE payments SET status = ?, failure_message = ? WHERE payment_intent_id = ? AND ${UNSETTLED_PAYMENT}`,
+            [status, failureMessage, paymentIntentId]
+        );
+        if (result.changes > 0) {
+            log.info('✅ Payment status updated', { payment_intent_id: paymentIntentId, status });
+        }
+        return result.changes > 0;
+    }
+
+    // Unsettled payments created before createdBefore ('YYYY-MM-DD HH:MM:SS'),
+    // least recently reconciled first
+    async getUnsettledPayments(createdBefore, limit = 100) {
+        return this.all(`
+            SELECT * FROM payments
+            WHERE ${UNSETTLED_PAYMENT} AND created_at <= ?
+            ORDER BY COALESCE(reconciled_at, '') ASC, created_at ASC
+            LIMIT ?
+        `, [createdBefore, limit]);
+    }
+
+    async markReconciled(paymentIntentId) {
+        await this.run(
+            'UPDATE payments SET reconciled_at = ? WHERE payment_intent_id = ?',
+            [new Date().toISOString(), paymentIntentId]
+        );
+    }
+
+    // Replace a payment's resume link; the previous one stops working
+    async setResumeToken(paymentIntentId, tokenHash) {
+        await this.run(
+            'UPDATE payments SET resume_token_hash = ? WHERE payment_intent_id = ?',
+            [tokenHash, paymentIntentId]
+        );
+    }
+
+    async getPaymentByResumeToken(tokenHash) {
+        return this.get('SELECT * FROM payments WHERE resume_token_hash = ?', [tokenHash]);
     }
 
-    // Get statistics
+    // Unicorns minted for a payment; visibleOnly leaves out hidden and refunded ones
+    async getOrderUnicorns(paymentIntentId, { visibleOnly = false } = {}) {
+        const visible = visibleOnly ? ` AND ${VISIBLE_UNICORN}` : '';
+        return this.all(
+            `SELECT * FROM unicorns WHERE payment_intent_id = ?${visible} ORDER BY created_at ASC, id ASC`,
+            [paymentIntentId]
+        );
+    }
+
+    async markReceiptSent(paymentIntentId) {
+        await this.run(
+            'UPDATE payments SET receipt_sent_at = ? WHERE payment_intent_id = ?',
+            [new Date().toISOString(), paymentIntentId]
+        );
+    }
+
+    // Admin rules for unicorn names (names.js), oldest first
+    async getNameRules() {
+        return this.all('SELECT term, action, created_by, created_at FROM name_rules ORDER BY created_at ASC, term ASC');
+    }
+
+    // Add a rule, or switch an existing term between block and allow
+    async setNameRule(term, action, createdBy = null) {
+        await this.run(`
+            INSERT INTO name_rules (term, action, created_by) VALUES (?, ?, ?)
+            ON CONFLICT (term) DO UPDATE SET action = excluded.action, created_by = excluded.created_by
+        `, [term, action, createdBy]);
+        return this.get('SELECT term, action, created_by, created_at FROM name_rules WHERE term = ?', [term]);
+    }
+
+    // Resolves to whether the rule existed
+    async deleteNameRule(term) {
+        const { changes } = await this.run('DELETE FROM name_rules WHERE term = ?', [term]);
+        return changes > 0;
+    }
+
+    // Get statistics. revenue is net of refunds per currency, in each
+    // currency's smallest unit: { usd: 2500, jpy: 40 }
     async getStats() {
-        return new Promise((resolve, reject) => {
-            const sql = `
+        try {
+            const stats = await this.get(`
                 SELECT 
                     COUNT(*) as total_unicorns,
-                    SUM(CASE WHEN p.status = 'succeeded' THEN p.total_amount ELSE 0 END) as total_revenue,
                     COUNT(DISTINCT p.user_session) as unique_customers
                 FROM unicorns u
                 LEFT JOIN payments p ON u.payment_intent_id = p.payment_intent_id
-            `;
-
-            this.db.get(sql, [], (err, row) => {
-                if (err) {
-                    console.error('❌ Error fetching stats:', err);
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
+            `);
+            return { ...stats, revenue: await this.getRevenue() };
+        } catch (err) {
+            log.error('❌ Error fetching stats', { error: err });
+            throw err;
+        }
+    }
+
+    // Paid amounts less refunds, per currency; amounts in different
+    // currencies are never added together
+    async getRevenue() {
+        const rows = await this.all(`
+            SELECT currency, SUM(total_amount - refunded_amount) as amount
+            FROM payments
+            WHERE status IN ('succeeded', 'partially_refunded', 'refunded')
+            GROUP BY currency
+            ORDER BY currency
+        `);
+        return Object.fromEntries(rows.map(row => [row.currency, Number(row.amount)]));
+    }
+
+    // Save space statistics; revenue as from getStats. total_revenue keeps
+    // the base currency's share for readers of the old column.
+    async saveSpaceStats(totalUnicorns, revenue, spaceRadius) {
+        try {
+            await this.run(
+                'INSERT INTO stats (total_unicorns, total_revenue, revenue, space_radius) VALUES (?, ?, ?, ?)',
+                [totalUnicorns, revenue[BASE_CURRENCY] || 0, JSON.stringify(revenue), spaceRadius]
+            );
+        } catch (err) {
+            log.error('❌ Error saving stats', { error: err });
+            throw err;
+        }
+    }
+
+    // Get the active catalog (colors in display order plus discount tiers)
+    async getCatalog() {
+        const colors = await this.all(
+            'SELECT name, hex, price FROM catalog_colors WHERE active = 1 ORDER BY sort_order ASC, name ASC'
+        );
+        const tiers = await this.all(
+            'SELECT min_quantity, discount_percent FROM price_tiers ORDER BY min_quantity ASC'
+        );
+        return { colors, tiers };
+    }
+
+    // Admin search over payments. Filters: status, from, to, session, q
+    async searchPayments(filters = {}) {
+        const { where, params } = buildAdminFilters(filters, {
+            status: 'status',
+            date: 'created_at',
+            session: 'user_session',
+            text: ['base_name', 'payment_intent_id']
         });
+        return this.paginate('payments', where, params, filters);
     }
 
-    // Save space statistics
-    async saveSpaceStats(totalUnicorns, totalRevenue, spaceRadius) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO stats (total_unicorns, total_revenue, space_radius)
-                VALUES (?, ?, ?)
-            `;
-
-            this.db.run(sql, [totalUnicorns, totalRevenue, spaceRadius], function(err) {
-                if (err) {
-                    console.error('❌ Error saving stats:', err);
-                    reject(err);
-                } else {
-                    resolve();
-                }
+    // Admin search over unicorns. status is one of visible, hidden, refunded
+    async searchUnicorns(filters = {}) {
+        const { where, params } = buildAdminFilters({ ...filters, status: undefined }, {
+            date: 'created_at',
+            session: 'user_session',
+            text: ['name', 'payment_intent_id']
+        });
+
+        if (filters.status === 'visible') where.push('hidden = 0 AND refunded_at IS NULL');
+        else if (filters.status === 'hidden') where.push('hidden = 1');
+        else if (filters.status === 'refunded') where.push('refunded_at IS NOT NULL');
+
+        return this.paginate('unicorns', where, params, filters);
+    }
+
+    // Public search over visible unicorns (see search.js). filters: { q, mode,
+    // color, owner, from, to, limit, offset }; owner is { unicornId } for the
+    // herd that unicorn belongs to, or { userId, session } for a visitor's own.
+    async searchVisibleUnicorns(filters = {}) {
+        const { where, params } = buildAdminFilters({ from: filters.from, to: filters.to }, { date: 'created_at' });
+        where.unshift(VISIBLE_UNICORN);
+        let order = { sql: 'created_at DESC, id', params: [] };
+
+        if (filters.q && filters.mode === 'fuzzy') {
+            const pattern = escapeLike(filters.q);
+            const matches = ["name LIKE ? ESCAPE '\\'"];
+            params.push(`%${pattern}%`);
+
+            // Typos: whole orders bought under a base name close to q
+            const baseNames = closestNames(filters.q, await this.getPurchaseBaseNames());
+            if (baseNames.length > 0) {
+                matches.push(`payment_intent_id IN (SELECT payment_intent_id FROM payments WHERE base_name IN (${baseNames.map(() => '?').join(', ')}))`);
+                params.push(...baseNames);
+            }
+            where.push(`(${matches.join(' OR ')})`);
+
+            // Names starting with q first, then names containing it, then typos
+            order = {
+                sql: "CASE WHEN name LIKE ? ESCAPE '\\' THEN 0 WHEN name LIKE ? ESCAPE '\\' THEN 1 ELSE 2 END, name, id",
+                params: [`${pattern}%`, `%${pattern}%`]
+            };
+        } else if (filters.q) {
+            where.push("name LIKE ? ESCAPE '\\'");
+            params.push(`${escapeLike(filters.q)}%`);
+            order = { sql: 'name, id', params: [] };
+        }
+
+        if (filters.color) {
+            // A catalog name in any case, or a hex
+            where.push('(LOWER(color_name) = ? OR LOWER(color_hex) = ?)');
+            params.push(filters.color.toLowerCase(), filters.color.toLowerCase());
+        }
+
+        if (filters.owner) {
+            const owner = ownerCondition(filters.owner);
+            where.push(owner.sql);
+            params.push(...owner.params);
+        }
+
+        return this.paginate('unicorns', where, params, filters, order);
+    }
+
+    // Distinct base names of paid orders, for fuzzy search. Read from the
+    // database once per BASE_NAMES_TTL_MS, not on every search.
+    async getPurchaseBaseNames() {
+        if (!this.baseNames || Date.now() - this.baseNames.loadedAt > BASE_NAMES_TTL_MS) {
+            const cache = {
+                loadedAt: Date.now(),
+                names: this.all(`
+                    SELECT DISTINCT base_name FROM payments
+                    WHERE status IN ('succeeded', 'partially_refunded')
+                `).then(rows => new Set(rows.map(row => row.base_name)))
+            };
+            cache.names.catch(() => {
+                if (this.baseNames === cache) this.baseNames = null;
+            });
+            this.baseNames = cache;
+        }
+        return [...await this.baseNames.names];
+    }
+
+    // Sales in this process reach fuzzy search right away. A sale that rolls
+    // back leaves a name that matches no unicorns, which is harmless.
+    rememberBaseName(baseName) {
+        if (!this.baseNames || !baseName) return;
+        this.baseNames.names.then(names => names.add(baseName), () => {});
+    }
+
+    // Leaderboard: owners with the most visible unicorns, each herd shown by
+    // its first unicorn (owners themselves stay anonymous)
+    async getLargestHerds(limit = 10) {
+        const herds = await this.all(`
+            SELECT ${UNICORN_OWNER} as owner, COUNT(*) as unicorn_count, MIN(created_at) as first_purchase
+            FROM unicorns
+            WHERE ${VISIBLE_UNICORN} AND ${UNICORN_OWNER} IS NOT NULL
+            GROUP BY ${UNICORN_OWNER}
+            ORDER BY unicorn_count DESC, first_purchase
+            LIMIT ?
+        `, [limit]);
+
+        const entries = [];
+        for (const herd of herds) {
+            const firstUnicorn = await this.get(
+                `SELECT * FROM unicorns WHERE ${UNICORN_OWNER} = ? AND ${VISIBLE_UNICORN} ORDER BY created_at, name, id LIMIT 1`,
+                [herd.owner]
+            );
+            entries.push({ unicorn_count: herd.unicorn_count, first_unicorn: firstUnicorn });
+        }
+        return entries;
+    }
+
+    // Leaderboard: body colors by visible unicorns; free colors count as one
+    async getPopularColors(limit = 10) {
+        return this.all(`
+            SELECT color_name, MIN(color_hex) as color_hex, COUNT(*) as unicorn_count
+            FROM unicorns
+            WHERE ${VISIBLE_UNICORN}
+            GROUP BY color_name
+            ORDER BY unicorn_count DESC, color_name
+            LIMIT ?
+        `, [limit]);
+    }
+
+    // Leaderboard: the latest paid orders with unicorns still in the galaxy
+    async getRecentPurchases(limit = 10) {
+        const purchases = await this.all(`
+            SELECT p.payment_intent_id, COUNT(u.id) as unicorn_count, MAX(u.created_at) as purchased_at
+            FROM payments p
+            JOIN unicorns u ON u.payment_intent_id = p.payment_intent_id
+            WHERE p.status IN ('succeeded', 'partially_refunded') AND u.hidden = 0 AND u.refunded_at IS NULL
+            GROUP BY p.payment_intent_id
+            ORDER BY purchased_at DESC, p.payment_intent_id
+            LIMIT ?
+        `, [limit]);
+
+        const entries = [];
+        for (const purchase of purchases) {
+            const firstUnicorn = await this.get(
+                `SELECT * FROM unicorns WHERE payment_intent_id = ? AND ${VISIBLE_UNICORN} ORDER BY created_at, name, id LIMIT 1`,
+                [purchase.payment_intent_id]
+            );
+            entries.push({
+                unicorn_count: purchase.unicorn_count,
+                purchased_at: purchase.purchased_at,
+                first_unicorn: firstUnicorn
             });
+        }
+        return entries;
+    }
+
+    // order: { sql, params } for ORDER BY; newest first by default
+    async paginate(table, where, params, { limit = 50, offset = 0 } = {}, order = { sql: 'created_at DESC', params: [] }) {
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+        const start = Math.max(parseInt(offset) || 0, 0);
+
+        const { total } = await this.get(`SELECT COUNT(*) as total FROM ${table} ${whereSql}`, params);
+        const rows = await this.all(
+            `SELECT * FROM ${table} ${whereSql} ORDER BY ${order.sql} LIMIT ? OFFSET ?`,
+            [...params, ...order.params, pageSize, start]
+        );
+        return { rows, total, limit: pageSize, offset: start };
+    }
+
+    async getPayment(paymentIntentId) {
+        return this.get('SELECT * FROM payments WHERE payment_intent_id = ?', [paymentIntentId]);
+    }
+
+    async getUnicorn(unicornId) {
+        return this.get('SELECT * FROM unicorns WHERE id = ?', [unicornId]);
+    }
+
+    // A unicorn as the public galaxy shows it; undefined if hidden or refunded
+    async getVisibleUnicorn(unicornId) {
+        return this.get(`SELECT * FROM unicorns WHERE id = ? AND ${VISIBLE_UNICORN}`, [unicornId]);
+    }
+
+    // Moderation: rename and/or hide a unicorn
+    async updateUnicorn(unicornId, { name, hidden }) {
+        const sets = [];
+        const params = [];
+        if (name !== undefined) {
+            sets.push('name = ?');
+            params.push(name);
+        }
+        if (hidden !== undefined) {
+            sets.push('hidden = ?');
+            params.push(hidden ? 1 : 0);
+        }
+        if (sets.length === 0) return this.getUnicorn(unicornId);
+
+        const result = await this.run(`UPDATE unicorns SET ${sets.join(', ')} WHERE id = ?`, [...params, unicornId]);
+        if (result.changes === 0) return null;
+
+        log.info('✅ Unicorn moderated', { unicorn_id: unicornId });
+        return this.getUnicorn(unicornId);
+    }
+
+    // Mirror a (partial) refund onto the payment and its unicorns.
+    // amountRefunded is the cumulative refunded amount, so repeating a call
+    // with the same value changes nothing. For partial refunds the newest
+    // unicorns of the order are marked first, proportionally to the amount.
+    async applyRefund({ paymentIntentId, amountRefunded, eventId = null, eventType = null }) {
+        return this.transaction(async () => {
+            if (eventId && !(await this.recordEvent(eventId, eventType, paymentIntentId))) {
+                log.info('↩️ Event already processed, skipping', { event_id: eventId });
+                return { alreadyProcessed: true, refundedUnicorns: 0, refundedIds: [] };
+            }
+
+            const payment = await this.get('SELECT * FROM payments WHERE payment_intent_id = ?', [paymentIntentId]);
+            if (!payment) {
+                log.warn('🤷 Refund for unknown payment', { payment_intent_id: paymentIntentId });
+                return { alreadyProcessed: false, refundedUnicorns: 0, refundedIds: [] };
+            }
+
+            const refunded = Math.min(Math.max(amountRefunded, payment.refunded_amount), payment.total_amount);
+            const status = refunded >= payment.total_amount ? 'refunded' : 'partially_refunded';
+            await this.run(
+                'UPDATE payments SET refunded_amount = ?, status = ? WHERE payment_intent_id = ?',
+                [refunded, status, paymentIntentId]
+            );
+
+            const target = status === 'refunded'
+                ? payment.total_unicorns
+                : Math.floor(payment.total_unicorns * refunded / payment.total_amount);
+            const { count } = await this.get(
+                'SELECT COUNT(*) as count FROM unicorns WHERE payment_intent_id = ? AND refunded_at IS NOT NULL',
+                [paymentIntentId]
+            );
+
+            let refundedIds = [];
+            if (target > count) {
+                const rows = await this.all(`
+                    SELECT id FROM unicorns
+                    WHERE payment_intent_id = ? AND refunded_at IS NULL
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT ?
+                `, [paymentIntentId, target - count]);
+                refundedIds = rows.map(row => row.id);
+
+                const refundedAt = new Date().toISOString();
+                for (const unicornId of refundedIds) {
+                    await this.run('UPDATE unicorns SET refunded_at = ? WHERE id = ?', [refundedAt, unicornId]);
+                }
+            }
+
+            log.info('💸 Refund applied', { payment_intent_id: paymentIntentId, status, unicorns_removed: refundedIds.length });
+            return {
+                alreadyProcessed: false,
+                status,
+                refundedAmount: refunded,
+                refundedUnicorns: refundedIds.length,
+                refundedIds
+            };
         });
     }
 
-    // Close database connection
-    close() {
-        this.db.close((err) => {
-            if (err) {
-                console.error('❌ Error closing database:', err);
-            } else {
-                console.log('🗄️ Database connection closed');
+    // Space statistics history, oldest first
+    async getStatsHistory(limit = 500) {
+        const rows = await this.all('SELECT * FROM stats ORDER BY recorded_at DESC, id DESC LIMIT ?', [limit]);
+        // Rows recorded before revenue was kept per currency have none
+        return rows.reverse().map(row => ({ ...row, revenue: row.revenue ? JSON.parse(row.revenue) : null }));
+    }
+
+    // created_at of the first and last visible unicorn between from and to
+    async getGalaxySpan({ from = null, to = null } = {}) {
+        const { where, params } = buildAdminFilters({ from, to }, { date: 'created_at' });
+        where.unshift(VISIBLE_UNICORN);
+        return this.get(
+            `SELECT MIN(created_at) as first, MAX(created_at) as last FROM unicorns WHERE ${where.join(' AND ')}`,
+            params
+        );
+    }
+
+    // Timeline of the visible galaxy (see history.js): unicorns added per
+    // created_at prefix of prefixLength characters, the largest space radius
+    // recorded in each, and how many unicorns came before from
+    async getGalaxyHistory({ prefixLength, from = null, to = null }) {
+        const bucket = column => `SUBSTR(${column}, 1, ${parseInt(prefixLength, 10)})`;
+
+        const unicorns = buildAdminFilters({ from, to }, { date: 'created_at' });
+        unicorns.where.unshift(VISIBLE_UNICORN);
+        const counts = await this.all(`
+            SELECT ${bucket('created_at')} as bucket, COUNT(*) as unicorns
+            FROM unicorns
+            WHERE ${unicorns.where.join(' AND ')}
+            GROUP BY ${bucket('created_at')}
+            ORDER BY bucket
+        `, unicorns.params);
+
+        const stats = buildAdminFilters({ from, to }, { date: 'recorded_at' });
+        const radii = await this.all(`
+            SELECT ${bucket('recorded_at')} as bucket, MAX(space_radius) as space_radius
+            FROM stats
+            ${stats.where.length > 0 ? `WHERE ${stats.where.join(' AND ')}` : ''}
+            GROUP BY ${bucket('recorded_at')}
+        `, stats.params);
+
+        const earlier = from
+            ? await this.get(`SELECT COUNT(*) as count FROM unicorns WHERE ${VISIBLE_UNICORN} AND created_at < ?`, [from])
+            : { count: 0 };
+
+        return { before: earlier.count, counts, radii };
+    }
+
+    // Visible unicorns for a galaxy snapshot (see snapshots.js), oldest first.
+    // owner as in searchVisibleUnicorns; null exports the whole galaxy.
+    async getSnapshotUnicorns({ owner = null } = {}) {
+        const where = [VISIBLE_UNICORN];
+        const params = [];
+        if (owner) {
+            const condition = ownerCondition(owner);
+            where.push(condition.sql);
+            params.push(...condition.params);
+        }
+        return this.all(`SELECT * FROM unicorns WHERE ${where.join(' AND ')} ORDER BY created_at, id`, params);
+    }
+
+    // Stored unicorns among ids, hidden and refunded ones included
+    async getUnicornsByIds(ids) {
+        const rows = [];
+        // Batches stay under SQLite's limit on bound parameters
+        for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+            const batch = ids.slice(i, i + ID_BATCH_SIZE);
+            rows.push(...await this.all(`SELECT * FROM unicorns WHERE id IN (${batch.map(() => '?').join(', ')})`, batch));
+        }
+        return rows;
+    }
+
+    // Save unicorns from a galaxy snapshot with their own ids and purchase
+    // times, all or none. They belong to no one here: owners and payments are
+    // not part of snapshots. buildUnicorns(count) gets the number of unicorns
+    // stored and resolves to the ones to save, placed while the placement
+    // lock is held. Resolves to the stored rows.
+    async importUnicorns(buildUnicorns) {
+        const unicorns = await this.transaction(async () => {
+            await this.storage.lock(PLACEMENT_LOCK);
+            const { count } = await this.get('SELECT COUNT(*) as count FROM unicorns');
+            const unicorns = await buildUnicorns(count);
+
+            for (const unicorn of unicorns) {
+                const chunk = chunkOf(unicorn.position);
+                const custom = customizationColumns(unicorn.customization);
+                await this.run(`
+                    INSERT INTO unicorns (
+                        id, name, color_name, color_hex,
+                        position_x, position_y, position_z, initial_rotation, created_at,
+                        chunk_x, chunk_y, chunk_z,
+                        horn_style, horn_hex, wing_style, wing_hex, accessories, size, effect
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    unicorn.id, unicorn.name, unicorn.colorName, unicorn.colorHex,
+                    unicorn.position.x, unicorn.position.y, unicorn.position.z, unicorn.initialRotation, unicorn.createdAt,
+                    chunk.x, chunk.y, chunk.z,
+                    custom.horn_style, custom.horn_hex, custom.wing_style, custom.wing_hex,
+                    custom.accessories, custom.size, custom.effect
+                ]);
             }
+            return unicorns;
         });
+
+        log.info('✅ Imported unicorns saved', { unicorns: unicorns.length });
+        return this.getUnicornsByIds(unicorns.map(unicorn => unicorn.id));
+    }
+
+    // Close database connection
+    close() {
+        return this.storage.close();
+    }
+}
+
+// Condition for an owner filter: { unicornId } is the herd that unicorn
+// belongs to, { userId, session } an account's unicorns plus the session's
+// unclaimed ones. A session never reaches unicorns an account owns.
+function ownerCondition(owner) {
+    if (owner.unicornId) {
+        return { sql: `${UNICORN_OWNER} = (SELECT ${UNICORN_OWNER} FROM unicorns WHERE id = ?)`, params: [owner.unicornId] };
     }
+    return {
+        sql: '(user_id = ? OR (user_id IS NULL AND user_session = ?))',
+        params: [owner.userId, owner.session || null]
+    };
+}
+
+// Build WHERE clauses for admin searches. columns maps filter kinds to columns.
+function buildAdminFilters(filters, columns) {
+    const where = [];
+    const params = [];
+
+    if (filters.status && columns.status) {
+        where.push(`${columns.status} = ?`);
+        params.push(filters.status);
+    }
+    if (filters.from) {
+        where.push(`${columns.date} >= ?`);
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        // A bare date means "through the end of that day"
+        where.push(`${columns.date} <= ?`);
+        params.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to} 23:59:59` : filters.to);
+    }
+    if (filters.session) {
+        where.push(`${columns.session} = ?`);
+        params.push(filters.session);
+    }
+    if (filters.q) {
+        where.push(`(${columns.text.map(column => `${column} LIKE ?`).join(' OR ')})`);
+        columns.text.forEach(() => params.push(`%${filters.q}%`));
+    }
+
+    return { where, params };
 }
 
 module.exports = UnicornDatabase;
@@ -1,23 +1,33 @@
+// On PostgreSQL every CPU runs a server process: placement takes a database
+// lock and live updates are relayed with NOTIFY. A SQLite file keeps one.
+const SHARED_DATABASE = /^postgres(ql)?:\/\//i.test(process.env.DATABASE_URL || '');
+
 module.exports = {
   apps: [{
     name: 'space-unicorns-shop',
     script: 'server.js',
-    instances: 1,
+    instances: SHARED_DATABASE ? 'max' : 1,
+    exec_mode: 'cluster',
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
+    // nginx runs on the same host (see nginx.conf)
     env: {
       NODE_ENV: 'production',
-      PORT: 3000
+      PORT: 3000,
+      TRUST_PROXY: 'loopback'
     },
     env_production: {
       NODE_ENV: 'production',
-      PORT: 3000
+      PORT: 3000,
+      TRUST_PROXY: 'loopback'
     },
     error_file: './logs/err.log',
     out_file: './logs/out.log',
     log_file: './logs/combined.log',
-    time: true
+    // Entries are JSON lines with their own time (see logger.js); a PM2
+    // timestamp prefix would stop them parsing
+    time: false
   }]
 };
 
@@ -0,0 +1,80 @@
+// Gift purchases: the buyer names a recipient, the server issues a single-use
+// claim token and only its hash is stored. Whoever redeems the token with an
+// account becomes the owner of the gifted unicorns. Once the gift is paid the
+// recipient is emailed a link of their own.
+const crypto = require('crypto');
+const { normalizeEmail, AuthError } = require('./auth.js');
+const { SITE_NAME, escapeHtml } = require('./permalinks.js');
+
+const MAX_GIFT_MESSAGE_LENGTH = 500;
+
+class GiftError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'GiftError';
+        this.status = status;
+    }
+}
+
+function hashClaimToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// The raw token goes to the buyer once; the database keeps the hash
+function createClaimToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, tokenHash: hashClaimToken(token) };
+}
+
+// Checkout input { recipient_email, message } → normalized gift, or null
+function validateGift(gift) {
+    if (gift === undefined || gift === null) return null;
+    if (typeof gift !== 'object') {
+        throw new GiftError('gift must be an object with recipient_email and message');
+    }
+
+    let recipientEmail;
+    try {
+        recipientEmail = normalizeEmail(gift.recipient_email);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            throw new GiftError('A valid recipient email is required for gifts');
+        }
+        throw error;
+    }
+
+    const message = typeof gift.message === 'string' ? gift.message.trim() : '';
+    if (message.length > MAX_GIFT_MESSAGE_LENGTH) {
+        throw new GiftError(`Gift message must be at most ${MAX_GIFT_MESSAGE_LENGTH} characters`);
+    }
+
+    return { recipientEmail, message };
+}
+
+// { subject, text, html } for the recipient's email; claim is a gift_claims
+// row joined with its payment (base_name, unicorn_count)
+function renderGiftEmail({ claim, claimUrl }) {
+    const unicorns = `${claim.unicorn_count} unicorn${claim.unicorn_count === 1 ? '' : 's'}`;
+    const intro = `Someone sent you ${unicorns} named "${claim.base_name}" in the ${SITE_NAME} galaxy!`;
+
+    const text = [
+        intro,
+        ...(claim.message ? ['', claim.message] : []),
+        '',
+        `Claim them with a free account (the link works once): ${claimUrl}`
+    ].join('\n');
+
+    const html = `<p>${escapeHtml(intro)}</p>
+${claim.message ? `<blockquote>${escapeHtml(claim.message)}</blockquote>\n` : ''}<p><a href="${escapeHtml(claimUrl)}">Claim your unicorns</a> with a free account. The link works once.</p>`;
+
+    return { subject: `A ${SITE_NAME} gift for you`, text, html };
+}
+
+module.exports = {
+    MAX_GIFT_MESSAGE_LENGTH,
+    GiftError,
+    createClaimToken,
+    hashClaimToken,
+    renderGiftEmail,
+    validateGift
+};
@@ -0,0 +1,335 @@
+// glTF 2.0 export of galaxy snapshots (see snapshots.js). Every unicorn is a
+// node with its position, heading and size, drawing a low-poly model in its
+// body, horn and wing colors with its accessories. The model is built here
+// in the proportions of the shop page's herd, flat shaded, so the server
+// needs no 3D library. All looks share one embedded buffer of parts: files
+// grow with the number of unicorns, not with their geometry.
+// Glow and trail effects are not modelled; nodes keep them in extras.
+const { SIZE_SCALES } = require('./customization.js');
+
+const FLOAT = 5126; // glTF componentType
+const ARRAY_BUFFER = 34962; // bufferView target
+
+// Fixed accessory colors, as the page draws them
+const ACCESSORY_COLORS = { crown: '#ffd700', bow_tie: '#e0245e', scarf: '#4169e1', glasses: '#222222' };
+
+// Geometry is a flat list of triangle vertices: [x, y, z, x, y, z, ...]
+
+function transform(vertices, fn) {
+    const result = [];
+    for (let i = 0; i < vertices.length; i += 3) {
+        result.push(...fn(vertices[i], vertices[i + 1], vertices[i + 2]));
+    }
+    return result;
+}
+
+const translate = (vertices, dx, dy, dz) => transform(vertices, (x, y, z) => [x + dx, y + dy, z + dz]);
+const scale = (vertices, sx, sy, sz) => transform(vertices, (x, y, z) => [x * sx, y * sy, z * sz]);
+
+// Right-handed rotations, like three.js rotateX/Y/Z
+function rotateX(vertices, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return transform(vertices, (x, y, z) => [x, y * cos - z * sin, y * sin + z * cos]);
+}
+
+function rotateY(vertices, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return transform(vertices, (x, y, z) => [x * cos + z * sin, y, -x * sin + z * cos]);
+}
+
+function rotateZ(vertices, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return transform(vertices, (x, y, z) => [x * cos - y * sin, x * sin + y * cos, z]);
+}
+
+// Two triangles per cell of a columns x rows grid; vertexAt(column, row) → [x, y, z]
+function grid(columns, rows, vertexAt) {
+    const vertices = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const a = vertexAt(column, row);
+            const b = vertexAt(column + 1, row);
+            const c = vertexAt(column + 1, row + 1);
+            const d = vertexAt(column, row + 1);
+            vertices.push(...a, ...b, ...c, ...a, ...c, ...d);
+        }
+    }
+    return vertices;
+}
+
+// Triangle fan around center over a closed outline of [x, y, z] points
+function fan(center, outline) {
+    const vertices = [];
+    outline.forEach((point, i) => {
+        vertices.push(...center, ...point, ...outline[(i + 1) % outline.length]);
+    });
+    return vertices;
+}
+
+function ellipsoid(rx, ry, rz, columns = 8, rows = 6) {
+    return grid(columns, rows, (column, row) => {
+        const theta = (column / columns) * Math.PI * 2;
+        const phi = (row / rows) * Math.PI;
+        return [rx * Math.sin(phi) * Math.cos(theta), ry * Math.cos(phi), rz * Math.sin(phi) * Math.sin(theta)];
+    });
+}
+
+// Along Y, centered on the origin; radiusTop 0 makes a cone
+function cylinder(radiusTop, radiusBottom, height, segments = 8, { rows = 1, open = false } = {}) {
+    const ring = (radius, y) => Array.from({ length: segments }, (_, i) => {
+        const angle = (i / segments) * Math.PI * 2;
+        return [radius * Math.sin(angle), y, radius * Math.cos(angle)];
+    });
+    const vertices = grid(segments, rows, (column, row) => {
+        const radius = radiusTop + (radiusBottom - radiusTop) * (row / rows);
+        const angle = (column / segments) * Math.PI * 2;
+        return [radius * Math.sin(angle), height / 2 - height * (row / rows), radius * Math.cos(angle)];
+    });
+    if (!open) {
+        if (radiusTop > 0) vertices.push(...fan([0, height / 2, 0], ring(radiusTop, height / 2)));
+        if (radiusBottom > 0) vertices.push(...fan([0, -height / 2, 0], ring(radiusBottom, -height / 2).reverse()));
+    }
+    return vertices;
+}
+
+function cone(radius, height, segments = 8, options = {}) {
+    return cylinder(0, radius, height, segments, options);
+}
+
+function octahedron(radius) {
+    const [px, nx, py, ny, pz, nz] = [[radius, 0, 0], [-radius, 0, 0], [0, radius, 0], [0, -radius, 0], [0, 0, radius], [0, 0, -radius]];
+    return [
+        px, py, pz, pz, py, nx, nx, py, nz, nz, py, px,
+        px, pz, ny, pz, nx, ny, nx, nz, ny, nz, px, ny
+    ].flat();
+}
+
+// Ring in the XY plane around the Z axis
+function torus(radius, tube, radialSegments, tubularSegments) {
+    return grid(tubularSegments, radialSegments, (column, row) => {
+        const u = (column / tubularSegments) * Math.PI * 2;
+        const v = (row / radialSegments) * Math.PI * 2;
+        return [(radius + tube * Math.cos(v)) * Math.cos(u), (radius + tube * Math.cos(v)) * Math.sin(u), tube * Math.sin(v)];
+    });
+}
+
+// Flat shapes in the XY plane
+function disc(radius, segments = 16) {
+    return fan([0, 0, 0], Array.from({ length: segments }, (_, i) => {
+        const angle = (i / segments) * Math.PI * 2;
+        return [radius * Math.cos(angle), radius * Math.sin(angle), 0];
+    }));
+}
+
+function rectangle(width, height) {
+    const w = width / 2;
+    const h = height / 2;
+    return [-w, -h, 0, w, -h, 0, w, h, 0, -w, -h, 0, w, h, 0, -w, h, 0];
+}
+
+// Horns point up and forward from the head
+function placeHorn(vertices, z = 0) {
+    return translate(rotateZ(vertices, -Math.PI / 6), 3, 1.5, z);
+}
+
+// Both wings at rest: tilted out and back from the shoulders
+function placeWings(vertices) {
+    return [1, -1].flatMap(side => translate(rotateX(rotateZ(vertices, side * -Math.PI / 4), Math.PI / 6), 0, 1, side * 1.2));
+}
+
+// Twist around the Y axis, for the spiral horn
+function twist(vertices, turnsPerUnit) {
+    return transform(vertices, (x, y, z) => {
+        const angle = y * turnsPerUnit;
+        return [x * Math.cos(angle) - z * Math.sin(angle), y, x * Math.sin(angle) + z * Math.cos(angle)];
+    });
+}
+
+// Part name → vertices, in model units (the body is 4 long, facing +X)
+function modelParts() {
+    const legs = [0, 1, 2, 3].flatMap(i => translate(cylinder(0.2, 0.2, 1.5), i < 2 ? 1 : -1, -1.5, i % 2 === 0 ? 0.8 : -0.8));
+    const bat = [[0.75, 1], [0.75, -1], [0.5, -0.55], [0.25, -0.9], [0, -0.45], [-0.25, -0.9], [-0.5, -0.55], [-0.75, -1], [-0.75, 1]];
+    const bowTie = [
+        translate(rotateX(cone(0.25, 0.5), -Math.PI / 2), 1.95, -0.1, 0.25),
+        translate(rotateX(cone(0.25, 0.5), Math.PI / 2), 1.95, -0.1, -0.25)
+    ].flat();
+    const glasses = [
+        ...[0.3, -0.3].flatMap(z => translate(rotateY(torus(0.18, 0.04, 6, 12), Math.PI / 2), 3.25, 0.7, z)),
+        ...translate(rotateX(cylinder(0.03, 0.03, 0.3, 6), Math.PI / 2), 3.25, 0.7, 0)
+    ];
+
+    return {
+        body: [...ellipsoid(2, 1, 1.5), ...translate(ellipsoid(0.8, 0.8, 0.8), 2.5, 0.5, 0), ...legs],
+        horn_classic: placeHorn(cone(0.1, 2)),
+        horn_spiral: placeHorn(twist(cone(0.16, 2.2, 6, { rows: 12 }), 4)),
+        horn_twin: [...placeHorn(cone(0.08, 1.6), 0.25), ...placeHorn(cone(0.08, 1.6), -0.25)],
+        horn_crystal: placeHorn(scale(octahedron(0.3), 1, 3.5, 1)),
+        wing_feathered: placeWings(rectangle(1.5, 2)),
+        wing_butterfly: placeWings([...translate(disc(0.8), 0, 0.45, 0), ...translate(disc(0.55), 0, -0.6, 0)]),
+        wing_bat: placeWings(fan([0, 0.5, 0], bat.map(([x, y]) => [x, y, 0]))),
+        crown: translate(cylinder(0.45, 0.35, 0.35, 10, { open: true }), 2.5, 1.35, 0),
+        bow_tie: bowTie,
+        scarf: translate(rotateY(torus(0.7, 0.18, 8, 16), Math.PI / 2), 1.9, 0.2, 0),
+        glasses: glasses
+    };
+}
+
+// One normal per triangle, repeated for its three vertices
+function flatNormals(positions) {
+    const normals = new Float32Array(positions.length);
+    for (let i = 0; i < positions.length; i += 9) {
+        const ux = positions[i + 3] - positions[i];
+        const uy = positions[i + 4] - positions[i + 1];
+        const uz = positions[i + 5] - positions[i + 2];
+        const vx = positions[i + 6] - positions[i];
+        const vy = positions[i + 7] - positions[i + 1];
+        const vz = positions[i + 8] - positions[i + 2];
+        let nx = uy * vz - uz * vy;
+        let ny = uz * vx - ux * vz;
+        let nz = ux * vy - uy * vx;
+        const length = Math.hypot(nx, ny, nz);
+        // Degenerate triangles (at the poles of a sphere) still need a unit normal
+        [nx, ny, nz] = length > 0 ? [nx / length, ny / length, nz / length] : [0, 1, 0];
+        for (let v = 0; v < 3; v++) {
+            normals.set([nx, ny, nz], i + v * 3);
+        }
+    }
+    return normals;
+}
+
+// The embedded buffer with every part, built on first use: { buffer, bufferViews, accessors, parts: name → attributes }
+let partsBuffer = null;
+
+function buildPartsBuffer() {
+    const chunks = [];
+    const bufferViews = [];
+    const accessors = [];
+    const parts = {};
+    let byteOffset = 0;
+
+    const addAccessor = (array, extra = {}) => {
+        const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+        chunks.push(bytes);
+        bufferViews.push({ buffer: 0, byteOffset, byteLength: bytes.length, target: ARRAY_BUFFER });
+        byteOffset += bytes.length;
+        accessors.push({ bufferView: bufferViews.length - 1, componentType: FLOAT, count: array.length / 3, type: 'VEC3', ...extra });
+        return accessors.length - 1;
+    };
+
+    for (const [name, vertices] of Object.entries(modelParts())) {
+        const positions = Float32Array.from(vertices);
+        const min = [0, 1, 2].map(axis => Math.min(...positions.filter((_, i) => i % 3 === axis)));
+        const max = [0, 1, 2].map(axis => Math.max(...positions.filter((_, i) => i % 3 === axis)));
+        parts[name] = {
+            POSITION: addAccessor(positions, { min, max }),
+            NORMAL: addAccessor(flatNormals(positions))
+        };
+    }
+
+    const data = Buffer.concat(chunks);
+    return {
+        buffer: { byteLength: data.length, uri: `data:application/octet-stream;base64,${data.toString('base64')}` },
+        bufferViews,
+        accessors,
+        parts
+    };
+}
+
+// '#ff69b4' → linear RGBA, as glTF base colors are
+function linearColor(hex) {
+    const channel = value => {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const rgb = [1, 3, 5].map(i => channel(parseInt(hex.slice(i, i + 2), 16)));
+    return [...rgb.map(value => Math.round(value * 10000) / 10000), 1];
+}
+
+// Snapshot (see snapshots.js) → glTF JSON document
+function buildGltf(snapshot) {
+    if (!partsBuffer) partsBuffer = buildPartsBuffer();
+
+    const materials = [];
+    const materialIndex = new Map();
+    const materialFor = (hex) => {
+        if (!materialIndex.has(hex)) {
+            materials.push({
+                name: hex,
+                pbrMetallicRoughness: { baseColorFactor: linearColor(hex), metallicFactor: 0, roughnessFactor: 0.6 },
+                doubleSided: true // Wings are flat, and normals follow each triangle's winding
+            });
+            materialIndex.set(hex, materials.length - 1);
+        }
+        return materialIndex.get(hex);
+    };
+    const primitive = (part, hex) => ({ attributes: partsBuffer.parts[part], material: materialFor(hex) });
+
+    // Unicorns that look alike share a mesh
+    const meshes = [];
+    const meshIndex = new Map();
+    const meshFor = (unicorn) => {
+        const look = unicorn.customization;
+        const key = JSON.stringify([unicorn.color_hex, look.horn_style, look.horn_hex, look.wing_style, look.wing_hex, look.accessories]);
+        if (!meshIndex.has(key)) {
+            const primitives = [
+                primitive('body', unicorn.color_hex),
+                primitive(`horn_${look.horn_style}`, look.horn_hex)
+            ];
+            if (look.wing_style !== 'none') primitives.push(primitive(`wing_${look.wing_style}`, look.wing_hex));
+            look.accessories.forEach(accessory => primitives.push(primitive(accessory, ACCESSORY_COLORS[accessory])));
+            meshes.push({ name: `${unicorn.color_name} unicorn`, primitives });
+            meshIndex.set(key, meshes.length - 1);
+        }
+        return meshIndex.get(key);
+    };
+
+    const unicornNodes = snapshot.unicorns.map(unicorn => {
+        const size = SIZE_SCALES[unicorn.customization.size] || 1;
+        const node = {
+            name: unicorn.name,
+            mesh: meshFor(unicorn),
+            translation: [unicorn.position.x, unicorn.position.y, unicorn.position.z],
+            rotation: [0, Math.sin(unicorn.initial_rotation / 2), 0, Math.cos(unicorn.initial_rotation / 2)],
+            extras: {
+                id: unicorn.id,
+                color_name: unicorn.color_name,
+                created_at: unicorn.created_at,
+                size: unicorn.customization.size,
+                effect: unicorn.customization.effect
+            }
+        };
+        if (size !== 1) node.scale = [size, size, size];
+        return node;
+    });
+
+    const galaxy = { name: 'Space Unicorns' };
+    if (unicornNodes.length > 0) galaxy.children = unicornNodes.map((_, i) => i + 1);
+
+    const document = {
+        asset: {
+            version: '2.0',
+            generator: 'Space Unicorns Shop',
+            extras: { snapshot_format: snapshot.format, snapshot_version: snapshot.version, exported_at: snapshot.exported_at, scope: snapshot.scope }
+        },
+        scene: 0,
+        scenes: [{ name: 'Space Unicorns', nodes: [0] }],
+        nodes: [galaxy, ...unicornNodes],
+        buffers: [partsBuffer.buffer],
+        bufferViews: partsBuffer.bufferViews,
+        accessors: partsBuffer.accessors
+    };
+    // glTF forbids empty arrays
+    if (meshes.length > 0) {
+        document.meshes = meshes;
+        document.materials = materials;
+    }
+    return document;
+}
+
+module.exports = {
+    CONTENT_TYPE: 'model/gltf+json',
+    buildGltf
+};
@@ -0,0 +1,79 @@
+// Galaxy growth over time, for the shop page's timeline replay
+// (GET /galaxy/history). Visible unicorns are counted per bucket of their
+// created_at; timestamps are text (see timestamps.js), so a bucket is a prefix
+// of it and groups the same way on both storage drivers. Each bucket's space
+// radius comes from the stats rows saved after every sale.
+const { parseSqlTimestamp, sqlTimestamp } = require('./timestamps.js');
+
+// Bucket → created_at prefix length, the text completing a prefix to the
+// bucket's first second, and roughly how many hours it lasts
+const BUCKETS = {
+    hour: { length: 13, suffix: ':00:00', hours: 1 },
+    day: { length: 10, suffix: ' 00:00:00', hours: 24 },
+    month: { length: 7, suffix: '-01 00:00:00', hours: 24 * 30 },
+    year: { length: 4, suffix: '-01-01 00:00:00', hours: 24 * 365 }
+};
+const BUCKET_NAMES = Object.keys(BUCKETS);
+const MAX_AUTO_BUCKETS = 200; // bucket=auto picks the finest bucket within this many
+
+// Radius of the space once it holds totalUnicorns, as fulfillment records it
+function spaceRadius(totalUnicorns) {
+    return 20 + Math.pow(totalUnicorns, 1 / 3) * 15;
+}
+
+function pickBucket(first, last) {
+    const hours = (parseSqlTimestamp(last) - parseSqlTimestamp(first)) / 3600000;
+    return BUCKET_NAMES.find(name => hours / BUCKETS[name].hours < MAX_AUTO_BUCKETS) || 'year';
+}
+
+// First second of the bucket after the one starting at start
+function nextBucketStart(start, bucket) {
+    const date = parseSqlTimestamp(start);
+    if (bucket === 'hour') date.setUTCHours(date.getUTCHours() + 1);
+    else if (bucket === 'day') date.setUTCDate(date.getUTCDate() + 1);
+    else if (bucket === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+    else date.setUTCFullYear(date.getUTCFullYear() + 1);
+    return sqlTimestamp(date);
+}
+
+// The timeline between from and to (both optional). Buckets without new
+// unicorns are left out; total_unicorns counts everything up to a bucket's end,
+// so the page can replay the galaxy in created_at order (as GET /unicorns
+// pages it) and stop at each bucket's total.
+async function galaxyHistory({ db, bucket = 'auto', from = null, to = null }) {
+    const span = await db.getGalaxySpan({ from, to });
+    const name = bucket !== 'auto' ? bucket : (span.first ? pickBucket(span.first, span.last) : 'day');
+    const { before, counts, radii } = await db.getGalaxyHistory({ prefixLength: BUCKETS[name].length, from, to });
+
+    const recordedRadius = new Map(radii.map(row => [row.bucket, row.space_radius]));
+    let total = before;
+    let radius = null;
+    const buckets = counts.map(row => {
+        const start = row.bucket + BUCKETS[name].suffix;
+        total += row.unicorns;
+        // Buckets without a stats row (imported unicorns, say) keep the last radius
+        radius = recordedRadius.has(row.bucket) ? recordedRadius.get(row.bucket) : (radius || spaceRadius(total));
+        return {
+            start: start,
+            end: nextBucketStart(start, name),
+            unicorns_added: row.unicorns,
+            total_unicorns: total,
+            space_radius: radius
+        };
+    });
+
+    return {
+        bucket: name,
+        first_unicorn_at: span.first || null,
+        last_unicorn_at: span.last || null,
+        unicorns_before: before,
+        total_unicorns: total,
+        buckets: buckets
+    };
+}
+
+module.exports = {
+    BUCKET_NAMES,
+    galaxyHistory,
+    spaceRadius
+};
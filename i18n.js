@@ -0,0 +1,48 @@
+// Storefront languages. The shop page loads its strings from /i18n, which
+// picks the language from ?locale= (the page's switcher, remembered in the
+// browser) or else the browser's Accept-Language.
+//
+// Messages live in locales/<code>.json as flat "key": "text" pairs with
+// {placeholders}. Keys with plural forms end in .one / .other (any
+// Intl.PluralRules category), picked on the count placeholder.
+
+const LOCALES = {
+    en: { name: 'English', currency: 'usd' },
+    it: { name: 'Italiano', currency: 'eur' }
+};
+const DEFAULT_LOCALE = 'en';
+
+const messages = {};
+
+function messagesFor(locale) {
+    if (!messages[locale]) {
+        messages[locale] = require(`./locales/${locale}.json`);
+    }
+    return messages[locale];
+}
+
+// The requested locale if the shop has it, else the best Accept-Language match
+function negotiateLocale(req, requested) {
+    if (requested && LOCALES[requested]) return requested;
+    return req.acceptsLanguages(...Object.keys(LOCALES)) || DEFAULT_LOCALE;
+}
+
+// Languages for the switcher
+function localeCatalog() {
+    return Object.entries(LOCALES).map(([code, locale]) => ({ code, name: locale.name }));
+}
+
+// Currency a visitor sees before choosing one: their language's, when offered
+function defaultCurrency(locale, currencies, fallback) {
+    const preferred = LOCALES[locale] && LOCALES[locale].currency;
+    return currencies.includes(preferred) ? preferred : fallback;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    defaultCurrency,
+    localeCatalog,
+    messagesFor,
+    negotiateLocale
+};
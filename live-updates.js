@@ -0,0 +1,117 @@
+// Server-Sent Events channel that pushes galaxy changes to every open viewer.
+// EventSource reconnects on its own, so clients resync with GET /unicorns
+// after a reconnect instead of the server replaying missed events.
+// Once relayed, events go through the database (NOTIFY on PostgreSQL), so
+// viewers connected to any server process see every change.
+const { customizationOf } = require('./customization.js');
+const log = require('./logger.js');
+
+const HEARTBEAT_INTERVAL = 25000; // Keeps proxies from closing idle streams
+const RELAY_CHANNEL = 'galaxy_updates';
+const MAX_MESSAGE_BYTES = 7500; // PostgreSQL refuses NOTIFY payloads from 8000 bytes
+
+class LiveUpdates {
+    constructor() {
+        this.clients = new Set();
+
+        this.heartbeat = setInterval(() => {
+            for (const res of this.clients) {
+                res.write(': heartbeat\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+
+        this.handler = this.handler.bind(this);
+        this.db = null;
+        this.publishing = Promise.resolve(); // Keeps this process's events in order
+    }
+
+    // Send events through the database from now on
+    async relay(db) {
+        await db.subscribe(RELAY_CHANNEL, (message) => {
+            const { event, data } = JSON.parse(message);
+            this.deliver(event, data);
+        });
+        this.db = db;
+    }
+
+    // Express handler for GET /events
+    handler(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx buffering for this response
+        });
+        res.write('retry: 5000\n\n');
+
+        this.clients.add(res);
+        log.info('📡 Live viewer connected', { open_streams: this.clients.size });
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            log.info('📡 Live viewer disconnected', { open_streams: this.clients.size });
+        });
+    }
+
+    broadcast(event, data) {
+        if (!this.db) {
+            this.deliver(event, data);
+            return;
+        }
+
+        for (const message of relayMessages(event, data)) {
+            this.publishing = this.publishing
+                .then(() => this.db.publish(RELAY_CHANNEL, message))
+                .catch(error => log.error('❌ Failed to relay a live update', { event, error }));
+        }
+    }
+
+    // Write an event to this process's viewers
+    deliver(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const res of this.clients) {
+            res.write(message);
+        }
+    }
+}
+
+// An event as relay messages under MAX_MESSAGE_BYTES: long lists of unicorns
+// or ids are halved until each part fits
+function relayMessages(event, data) {
+    const message = JSON.stringify({ event, data });
+    const items = Array.isArray(data) ? data : data.ids;
+    if (Buffer.byteLength(message) <= MAX_MESSAGE_BYTES || !Array.isArray(items) || items.length < 2) {
+        return [message];
+    }
+
+    const part = list => (Array.isArray(data) ? list : { ...data, ids: list });
+    const half = Math.ceil(items.length / 2);
+    return [
+        ...relayMessages(event, part(items.slice(0, half))),
+        ...relayMessages(event, part(items.slice(half)))
+    ];
+}
+
+// Fields every viewer may see; ownership columns stay on the server, and so
+// does payment_intent_id, which is all GET /orders/:id asks for
+function toPublicUnicorn(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        color_name: row.color_name,
+        color_hex: row.color_hex,
+        position_x: row.position_x,
+        position_y: row.position_y,
+        position_z: row.position_z,
+        initial_rotation: row.initial_rotation,
+        created_at: row.created_at,
+        ...customizationOf(row)
+    };
+}
+
+module.exports = {
+    LiveUpdates,
+    relayMessages,
+    toPublicUnicorn
+};
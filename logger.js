@@ -0,0 +1,81 @@
+// Structured logging. Every entry is one JSON line, info and below on stdout,
+// warnings and errors on stderr, so PM2's ./logs files can be shipped and
+// queried as they are:
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"🦄✅ Payment succeeded","request_id":"3f0c…","payment_intent_id":"pi_…"}
+// Entries written while a request is handled carry its request_id (see
+// requestContext), including everything a webhook goes on to do; background
+// jobs tag theirs with withContext().
+//   LOG_FORMAT=json     json, or pretty for one readable line per entry (default: json in production, else pretty)
+//   LOG_LEVEL=info      debug, info, warn or error
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Ids from nginx ($request_id) or another service are kept if they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const context = new AsyncLocalStorage();
+
+// Errors lose their message and stack in JSON.stringify
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    const serialized = { name: error.name, message: error.message, stack: error.stack };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    return serialized;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, error, ...fields } = entry;
+    const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const line = [msg, ...pairs].join(' ');
+    return error ? `${line}\n${error.stack || error.message || JSON.stringify(error)}` : line;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+    if (entry.error !== undefined) entry.error = serializeError(entry.error);
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+}
+
+// Middleware: gives the request an id (X-Request-ID if the caller sent one),
+// echoes it back and runs the rest of the chain in its logging context. Body
+// parsers resume the chain from stream callbacks, outside that context, so
+// routes that parse their own body apply it again afterwards.
+function requestContext(req, res, next) {
+    if (!req.id) {
+        const incoming = req.get('X-Request-ID');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+        res.set('X-Request-ID', req.id);
+    }
+    context.run({ request_id: req.id }, next);
+}
+
+// Runs fn with fields added to every entry it logs, e.g. { job: 'reconcile' }
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The current request's id, or null outside a request
+function currentRequestId() {
+    const store = context.getStore();
+    return (store && store.request_id) || null;
+}
+
+module.exports = {
+    LOG_FORMAT,
+    currentRequestId,
+    debug: (msg, fields) => write('debug', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    requestContext,
+    warn: (msg, fields) => write('warn', msg, fields),
+    withContext
+};
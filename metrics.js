@@ -0,0 +1,152 @@
+// Prometheus metrics, kept in process memory like rate limits and live
+// updates, served in the text exposition format at GET /metrics:
+//   unicorn_shop_http_request_duration_seconds{method,route,status}   histogram
+//   unicorn_shop_webhook_events_total{type,outcome}                    counter
+//   unicorn_shop_fulfillment_duration_seconds{source}                  histogram
+//   unicorn_shop_unicorns_sold_total                                   counter
+//   unicorn_shop_revenue_total{currency}                               counter, in whole units (dollars, yen)
+// Counters start from zero with each process; rate() and increase() expect
+// that. route is the Express route pattern, so ids in paths do not multiply
+// series.
+//   METRICS_TOKEN=secret   require "Authorization: Bearer secret" (nginx also keeps /metrics internal)
+const crypto = require('crypto');
+const { sendError } = require('./api-errors.js');
+
+const PREFIX = 'unicorn_shop_';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Seconds; requests are mostly fast, fulfillment writes whole herds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const FULFILLMENT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) return '';
+    return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // Label values as JSON → state
+    }
+
+    // State of the series for labels, created on first use
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) this.series.set(key, { values, ...create() });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames = []) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    collect() {
+        const lines = this.header();
+        for (const { values, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, seconds) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (seconds <= bound) series.counts[i]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    // Call the returned function when the work is done; labels may be added then
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    collect() {
+        const lines = this.header();
+        const names = [...this.labelNames, 'le'];
+        for (const { values, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(names, [...values, bound])} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(names, [...values, '+Inf'])} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+const httpRequestDuration = new Histogram(
+    'http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route', 'status']
+);
+const webhookEvents = new Counter(
+    'webhook_events_total', 'Payment provider webhook deliveries by event type and outcome', ['type', 'outcome']
+);
+const fulfillmentDuration = new Histogram(
+    'fulfillment_duration_seconds', 'Time to place and save the unicorns of a paid order', ['source'], FULFILLMENT_BUCKETS
+);
+const unicornsSold = new Counter('unicorns_sold_total', 'Unicorns minted by fulfilled orders');
+const revenue = new Counter('revenue_total', 'Amount of fulfilled orders, in whole currency units', ['currency']);
+
+const ALL_METRICS = [httpRequestDuration, webhookEvents, fulfillmentDuration, unicornsSold, revenue];
+
+// The /metrics response body
+function render() {
+    return `${ALL_METRICS.flatMap(metric => metric.collect()).join('\n')}\n`;
+}
+
+// Middleware for /metrics: the bearer token, when METRICS_TOKEN is set.
+// Hashing first lets timingSafeEqual compare headers of any length.
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) return next();
+
+    const given = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+    const expected = crypto.createHash('sha256').update(`Bearer ${METRICS_TOKEN}`).digest();
+    if (!crypto.timingSafeEqual(given, expected)) {
+        return sendError(res, 401, 'Metrics token required');
+    }
+    next();
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    Counter,
+    Histogram,
+    fulfillmentDuration,
+    httpRequestDuration,
+    render,
+    requireMetricsToken,
+    revenue,
+    unicornsSold,
+    webhookEvents
+};
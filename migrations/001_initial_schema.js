@@ -0,0 +1,54 @@
+// Tables of the first release. IF NOT EXISTS lets databases created before
+// migrations existed adopt this history without losing data.
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS unicorns (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                color_name TEXT NOT NULL,
+                color_hex TEXT NOT NULL,
+                position_x REAL NOT NULL,
+                position_y REAL NOT NULL,
+                position_z REAL NOT NULL,
+                initial_rotation REAL NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                payment_intent_id TEXT,
+                user_session TEXT
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS payments (
+                id TEXT PRIMARY KEY,
+                payment_intent_id TEXT UNIQUE NOT NULL,
+                base_name TEXT NOT NULL,
+                total_unicorns INTEGER NOT NULL,
+                total_amount INTEGER NOT NULL,
+                currency TEXT NOT NULL,
+                status TEXT NOT NULL,
+                unicorn_orders TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                user_session TEXT
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                total_unicorns INTEGER NOT NULL,
+                total_revenue INTEGER NOT NULL,
+                space_radius REAL NOT NULL,
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS stats');
+        await db.run('DROP TABLE IF EXISTS payments');
+        await db.run('DROP TABLE IF EXISTS unicorns');
+    }
+};
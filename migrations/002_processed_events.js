@@ -0,0 +1,18 @@
+// Ledger of Stripe events already handled, so retries are no-ops
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS processed_events (
+                event_id TEXT PRIMARY KEY,
+                event_type TEXT NOT NULL,
+                payment_intent_id TEXT,
+                processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS processed_events');
+    }
+};
@@ -0,0 +1,75 @@
+// Product catalog (one row per purchasable color) and volume discount tiers,
+// seeded when empty. The seed is written out here rather than taken from
+// catalog.js, so a fresh database always starts from the same rows.
+const log = require('../logger.js');
+
+// Every color at UNICORN_PRICE, as the shop priced them before the catalog
+const UNICORN_PRICE = parseInt(process.env.UNICORN_PRICE) || 25;
+
+const SEED_COLORS = [
+    { name: 'Pink', hex: '#ff69b4' },
+    { name: 'Cyan', hex: '#00ffff' },
+    { name: 'Magenta', hex: '#ff00ff' },
+    { name: 'Yellow', hex: '#ffff00' },
+    { name: 'Green', hex: '#00ff00' },
+    { name: 'Orange', hex: '#ff4500' },
+    { name: 'Purple', hex: '#8a2be2' },
+    { name: 'Deep Pink', hex: '#ff1493' },
+    { name: 'Sky Blue', hex: '#00bfff' },
+    { name: 'Lime', hex: '#32cd32' },
+    { name: 'Gold', hex: '#ffd700' },
+    { name: 'Tomato', hex: '#ff6347' }
+];
+
+const SEED_TIERS = [
+    { minQuantity: 100, discountPercent: 10 },
+    { minQuantity: 1000, discountPercent: 20 }
+];
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS catalog_colors (
+                name TEXT PRIMARY KEY,
+                hex TEXT NOT NULL,
+                price INTEGER NOT NULL,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                active INTEGER NOT NULL DEFAULT 1
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS price_tiers (
+                min_quantity INTEGER PRIMARY KEY,
+                discount_percent INTEGER NOT NULL
+            )
+        `);
+
+        const row = await db.get('SELECT (SELECT COUNT(*) FROM catalog_colors) as colors, (SELECT COUNT(*) FROM price_tiers) as tiers');
+
+        if (row.colors === 0) {
+            for (const [index, color] of SEED_COLORS.entries()) {
+                await db.run(
+                    'INSERT INTO catalog_colors (name, hex, price, sort_order) VALUES (?, ?, ?, ?)',
+                    [color.name, color.hex, UNICORN_PRICE, index]
+                );
+            }
+            log.info('🎨 Catalog seeded', { colors: SEED_COLORS.length });
+        }
+
+        if (row.tiers === 0) {
+            for (const tier of SEED_TIERS) {
+                await db.run(
+                    'INSERT INTO price_tiers (min_quantity, discount_percent) VALUES (?, ?)',
+                    [tier.minQuantity, tier.discountPercent]
+                );
+            }
+            log.info('🏷️ Price tiers seeded', { tiers: SEED_TIERS.length });
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS price_tiers');
+        await db.run('DROP TABLE IF EXISTS catalog_colors');
+    }
+};
@@ -0,0 +1,23 @@
+// Registered buyers; anonymous purchases keep only user_session
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.addColumnIfMissing('unicorns', 'user_id', 'TEXT');
+        await db.addColumnIfMissing('payments', 'user_id', 'TEXT');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE payments DROP COLUMN user_id');
+        await db.run('ALTER TABLE unicorns DROP COLUMN user_id');
+        await db.run('DROP TABLE IF EXISTS users');
+    }
+};
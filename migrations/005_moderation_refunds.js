@@ -0,0 +1,15 @@
+// Admin moderation (hidden unicorns) and refund tracking
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('unicorns', 'hidden', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('unicorns', 'refunded_at', 'DATETIME');
+        await db.addColumnIfMissing('payments', 'refunded_amount', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE payments DROP COLUMN refunded_amount');
+        await db.run('ALTER TABLE unicorns DROP COLUMN refunded_at');
+        await db.run('ALTER TABLE unicorns DROP COLUMN hidden');
+    }
+};
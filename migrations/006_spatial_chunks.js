@@ -0,0 +1,46 @@
+// Spatial chunk columns for streaming the galaxy, plus the indexes that
+// chunk lookups, bounding boxes and cursor pagination rely on
+const { CHUNK_SIZE } = require('../spatial.js');
+const log = require('../logger.js');
+
+// floor(position / CHUNK_SIZE); SQLite may be built without math functions
+function floorDiv(db, column) {
+    if (db.dialect === 'postgres') {
+        return `FLOOR(${column} / ${CHUNK_SIZE})`;
+    }
+    return `(CAST(${column} / ${CHUNK_SIZE} AS INTEGER) - ` +
+        `(${column} < 0 AND ${column} / ${CHUNK_SIZE} != CAST(${column} / ${CHUNK_SIZE} AS INTEGER)))`;
+}
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('unicorns', 'chunk_x', 'INTEGER');
+        await db.addColumnIfMissing('unicorns', 'chunk_y', 'INTEGER');
+        await db.addColumnIfMissing('unicorns', 'chunk_z', 'INTEGER');
+
+        // Unicorns stored before chunk columns existed
+        const result = await db.run(`
+            UPDATE unicorns
+            SET chunk_x = ${floorDiv(db, 'position_x')},
+                chunk_y = ${floorDiv(db, 'position_y')},
+                chunk_z = ${floorDiv(db, 'position_z')}
+            WHERE chunk_x IS NULL
+        `);
+        if (result.changes > 0) {
+            log.info('✅ Assigned spatial chunks', { unicorns: result.changes });
+        }
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_chunk ON unicorns (chunk_x, chunk_y, chunk_z)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_position ON unicorns (position_x, position_y, position_z)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_created ON unicorns (created_at, id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_created');
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_position');
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_chunk');
+        await db.run('ALTER TABLE unicorns DROP COLUMN chunk_z');
+        await db.run('ALTER TABLE unicorns DROP COLUMN chunk_y');
+        await db.run('ALTER TABLE unicorns DROP COLUMN chunk_x');
+    }
+};
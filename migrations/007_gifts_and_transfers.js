@@ -0,0 +1,44 @@
+// Gift claims (only the token's hash is stored) and the audit trail of
+// every ownership change: session claims, gifts and transfers
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS gift_claims (
+                id TEXT PRIMARY KEY,
+                payment_intent_id TEXT UNIQUE NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                recipient_email TEXT NOT NULL,
+                message TEXT,
+                sender_session TEXT,
+                sender_user_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                claimed_at DATETIME,
+                claimed_by_user_id TEXT
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS unicorn_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                unicorn_id TEXT NOT NULL,
+                from_user_id TEXT,
+                from_session TEXT,
+                to_user_id TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                gift_claim_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_user ON unicorns (user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_transfers_unicorn ON unicorn_transfers (unicorn_id, created_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_transfers_unicorn');
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_user');
+        await db.run('DROP TABLE IF EXISTS unicorn_transfers');
+        await db.run('DROP TABLE IF EXISTS gift_claims');
+    }
+};
@@ -0,0 +1,20 @@
+// Failed-payment recovery and reconciliation: why a payment failed, the hash
+// of its resume link, and the index the reconciliation job scans by
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('payments', 'failure_message', 'TEXT');
+        await db.addColumnIfMissing('payments', 'resume_token_hash', 'TEXT');
+        await db.addColumnIfMissing('payments', 'reconciled_at', 'DATETIME');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_payments_status_created ON payments (status, created_at)');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_resume_token ON payments (resume_token_hash)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_payments_resume_token');
+        await db.run('DROP INDEX IF EXISTS idx_payments_status_created');
+        await db.run('ALTER TABLE payments DROP COLUMN reconciled_at');
+        await db.run('ALTER TABLE payments DROP COLUMN resume_token_hash');
+        await db.run('ALTER TABLE payments DROP COLUMN failure_message');
+    }
+};
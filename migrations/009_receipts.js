@@ -0,0 +1,12 @@
+// Where a payment's receipt goes and when it was sent
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('payments', 'receipt_email', 'TEXT');
+        await db.addColumnIfMissing('payments', 'receipt_sent_at', 'DATETIME');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE payments DROP COLUMN receipt_sent_at');
+        await db.run('ALTER TABLE payments DROP COLUMN receipt_email');
+    }
+};
@@ -0,0 +1,24 @@
+// Per-unicorn customization columns; existing unicorns get the defaults,
+// which is how they were always drawn. Payments keep the order's choice.
+const { DEFAULT_CUSTOMIZATION } = require('../customization.js');
+
+module.exports = {
+    async up(db) {
+        const defaults = DEFAULT_CUSTOMIZATION;
+        await db.addColumnIfMissing('unicorns', 'horn_style', `TEXT NOT NULL DEFAULT '${defaults.horn_style}'`);
+        await db.addColumnIfMissing('unicorns', 'horn_hex', `TEXT NOT NULL DEFAULT '${defaults.horn_hex}'`);
+        await db.addColumnIfMissing('unicorns', 'wing_style', `TEXT NOT NULL DEFAULT '${defaults.wing_style}'`);
+        await db.addColumnIfMissing('unicorns', 'wing_hex', `TEXT NOT NULL DEFAULT '${defaults.wing_hex}'`);
+        await db.addColumnIfMissing('unicorns', 'accessories', `TEXT NOT NULL DEFAULT '[]'`);
+        await db.addColumnIfMissing('unicorns', 'size', `TEXT NOT NULL DEFAULT '${defaults.size}'`);
+        await db.addColumnIfMissing('unicorns', 'effect', `TEXT NOT NULL DEFAULT '${defaults.effect}'`);
+        await db.addColumnIfMissing('payments', 'customization', 'TEXT');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE payments DROP COLUMN customization');
+        for (const column of ['effect', 'size', 'accessories', 'wing_hex', 'wing_style', 'horn_hex', 'horn_style']) {
+            await db.run(`ALTER TABLE unicorns DROP COLUMN ${column}`);
+        }
+    }
+};
@@ -0,0 +1,19 @@
+// Admin rules for unicorn names: extra blocked terms, and allowed terms that
+// override blocks inside them (see names.js)
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS name_rules (
+                term TEXT PRIMARY KEY,
+                action TEXT NOT NULL,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS name_rules');
+    }
+};
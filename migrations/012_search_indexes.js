@@ -0,0 +1,15 @@
+// Indexes for the public search and leaderboards (see search.js): herds group
+// by owner, colors by name
+module.exports = {
+    async up(db) {
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_session ON unicorns (user_session)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_color ON unicorns (color_name)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_unicorns_payment ON unicorns (payment_intent_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_payment');
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_color');
+        await db.run('DROP INDEX IF EXISTS idx_unicorns_session');
+    }
+};
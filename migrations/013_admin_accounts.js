@@ -0,0 +1,12 @@
+// Operators are flagged on their account, never from the signup email:
+// `node database-manager.js admin grant <email>` sets the flag
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'is_admin', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE users DROP COLUMN is_admin');
+    }
+};
@@ -0,0 +1,17 @@
+// Gift claim links emailed to the recipient once the gift is paid. The
+// emailed link has its own token, so the buyer's copy keeps working;
+// either one redeems the gift, once.
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('gift_claims', 'email_token_hash', 'TEXT');
+        await db.addColumnIfMissing('gift_claims', 'emailed_at', 'DATETIME');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_gift_claims_email_token ON gift_claims (email_token_hash)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_gift_claims_email_token');
+        await db.run('ALTER TABLE gift_claims DROP COLUMN emailed_at');
+        await db.run('ALTER TABLE gift_claims DROP COLUMN email_token_hash');
+    }
+};
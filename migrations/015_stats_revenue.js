@@ -0,0 +1,13 @@
+// Revenue history per currency: stats.revenue is a JSON object of net
+// amounts in each currency's smallest unit, since cents, pence and yen
+// cannot be summed into one total_revenue.
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('stats', 'revenue', 'TEXT');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE stats DROP COLUMN revenue');
+    }
+};
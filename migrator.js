@@ -0,0 +1,114 @@
+// Versioned schema migrations.
+// Files in migrations/ are named NNN_description.js and export async
+// up(db) and down(db), where db is a UnicornDatabase. Applied versions are
+// recorded in schema_migrations; each migration runs in its own transaction.
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(directory, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up(db) and down(db)`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(db) {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return new Set(rows.map(row => row.version));
+}
+
+// Every known migration with whether and when it was applied
+async function status(db, migrations = loadMigrations()) {
+    await ensureMigrationsTable(db);
+    const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+    const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.get(migration.version) || null
+    }));
+}
+
+// Apply pending migrations in order, up to and including `target` if given
+async function migrateUp(db, { target = Infinity, migrations = loadMigrations() } = {}) {
+    const applied = await appliedVersions(db);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+        await db.transaction(async () => {
+            await migration.up(db);
+            await db.run(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        });
+        log.info('⬆️ Applied migration', { migration: `${String(migration.version).padStart(3, '0')}_${migration.name}` });
+    }
+
+    if (pending.length === 0) {
+        log.info('✅ Database schema is up to date');
+    }
+    return pending.map(m => m.version);
+}
+
+// Revert the latest `steps` applied migrations, newest first
+async function migrateDown(db, { steps = 1, migrations = loadMigrations() } = {}) {
+    const applied = await appliedVersions(db);
+    const toRevert = migrations
+        .filter(m => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+
+    for (const migration of toRevert) {
+        await db.transaction(async () => {
+            await migration.down(db);
+            await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+        log.info('⬇️ Reverted migration', { migration: `${String(migration.version).padStart(3, '0')}_${migration.name}` });
+    }
+    return toRevert.map(m => m.version);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    status,
+    migrateUp,
+    migrateDown
+};
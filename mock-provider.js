@@ -0,0 +1,295 @@
+// Offline payment provider for development and automated tests.
+// Payment intents live in memory. Confirming one with a test card, or firing
+// an event by hand, posts a signed Stripe-shaped event to the shop's own
+// /webhook, so fulfillment runs exactly as it does with Stripe.
+const crypto = require('crypto');
+const log = require('./logger.js');
+
+const SIGNATURE_HEADER = 'mock-signature';
+const SIGNATURE_TOLERANCE = 300; // Seconds, as Stripe
+const METADATA_VALUE_LIMIT = 500; // Characters per metadata value, as Stripe
+
+// Card numbers the fake card form understands, like Stripe's test cards
+const TEST_CARDS = {
+    '4242424242424242': null,
+    '4000000000000002': { code: 'card_declined', message: 'Your card was declined.' },
+    '4000000000009995': { code: 'insufficient_funds', message: 'Your card has insufficient funds.' }
+};
+
+// Events that can be fired by hand, by outcome
+const MANUAL_EVENTS = {
+    succeeded: 'payment_intent.succeeded',
+    failed: 'payment_intent.payment_failed',
+    canceled: 'payment_intent.canceled'
+};
+
+class PaymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.status = status;
+    }
+}
+
+function randomId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(payload, secret, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Header value for a payload: t=<unix seconds>,v1=<hex HMAC of "t.payload">
+function signatureHeader(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${sign(payload, secret, timestamp)}`;
+}
+
+function luhnValid(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Same checks Stripe's card element makes before anything is charged
+function validateCard({ number, expiry, cvc } = {}) {
+    const digits = String(number || '').replace(/[\s-]/g, '');
+    if (!/^\d{13,19}$/.test(digits) || !luhnValid(digits)) {
+        return { code: 'incorrect_number', message: 'Your card number is invalid.' };
+    }
+
+    const match = String(expiry || '').match(/^\s*(\d{1,2})\s*\/\s*(\d{2})\s*$/);
+    const month = match ? parseInt(match[1], 10) : 0;
+    if (!match || month < 1 || month > 12) {
+        return { code: 'invalid_expiry', message: 'Your card\'s expiration date is incomplete.' };
+    }
+    const now = new Date();
+    const year = 2000 + parseInt(match[2], 10);
+    if (year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+        return { code: 'expired_card', message: 'Your card has expired.' };
+    }
+
+    if (!/^\d{3,4}$/.test(String(cvc || '').trim())) {
+        return { code: 'incorrect_cvc', message: 'Your card\'s security code is incomplete.' };
+    }
+
+    // Valid cards other than the declining test cards go through
+    return TEST_CARDS[digits] || null;
+}
+
+class MockProvider {
+    // webhookUrl: where signed events are delivered (the shop's /webhook)
+    constructor({ webhookSecret, webhookUrl }) {
+        this.name = 'mock';
+        this.webhookSecret = webhookSecret;
+        this.webhookUrl = webhookUrl;
+        this.intents = new Map();
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // What the page needs to render the fake card form
+    clientConfig() {
+        return { payment_provider: this.name, publishable_key: null, test_cards: Object.keys(TEST_CARDS) };
+    }
+
+    async createPaymentIntent({ amount, currency, metadata }) {
+        for (const [key, value] of Object.entries(metadata || {})) {
+            if (String(value).length > METADATA_VALUE_LIMIT) {
+                throw new PaymentError(`Metadata values can have up to ${METADATA_VALUE_LIMIT} characters (${key})`);
+            }
+        }
+
+        const id = randomId('pi');
+        const intent = {
+            id,
+            object: 'payment_intent',
+            amount,
+            currency,
+            metadata: { ...metadata },
+            status: 'requires_payment_method',
+            client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+            amount_refunded: 0,
+            last_payment_error: null,
+            cancellation_reason: null,
+            created: Math.floor(Date.now() / 1000)
+        };
+        this.intents.set(id, intent);
+        return { id, client_secret: intent.client_secret };
+    }
+
+    getIntent(paymentIntentId) {
+        const intent = this.intents.get(paymentIntentId);
+        if (!intent) {
+            throw new PaymentError(`No such payment intent: ${paymentIntentId}`, 404);
+        }
+        return intent;
+    }
+
+    // The fake card form's submit: validates the card, settles the intent and
+    // delivers the resulting event. Resolves like stripe.confirmCardPayment().
+    async confirmCardPayment(clientSecret, card) {
+        const paymentIntentId = String(clientSecret || '').split('_secret_')[0];
+        const intent = this.getIntent(paymentIntentId);
+        if (intent.client_secret !== clientSecret) {
+            throw new PaymentError('Invalid client secret', 403);
+        }
+        if (intent.status !== 'requires_payment_method') {
+            throw new PaymentError(`Payment intent is already ${intent.status}`, 409);
+        }
+
+        const error = validateCard(card);
+        if (error && !Object.values(TEST_CARDS).includes(error)) {
+            // Incomplete card details never reach the "bank"
+            return { error };
+        }
+
+        const delivery = await this.fireEvent(paymentIntentId, error ? 'failed' : 'succeeded', error);
+        if (error) {
+            return { error, webhookStatus: delivery.status };
+        }
+        return {
+            paymentIntent: { id: intent.id, status: intent.status, amount: intent.amount },
+            webhookStatus: delivery.status
+        };
+    }
+
+    // Settle an intent as succeeded, failed or canceled and deliver the event.
+    // deliver: false settles without telling the webhook, like a lost event.
+    async fireEvent(paymentIntentId, outcome, paymentError = null, { deliver = true } = {}) {
+        const type = MANUAL_EVENTS[outcome];
+        if (!type) {
+            throw new PaymentError(`Outcome must be one of: ${Object.keys(MANUAL_EVENTS).join(', ')}`);
+        }
+
+        const intent = this.getIntent(paymentIntentId);
+        if (outcome === 'succeeded') {
+            intent.status = 'succeeded';
+        } else if (outcome === 'failed') {
+            // Stripe lets the customer retry with another card
+            intent.status = 'requires_payment_method';
+            intent.last_payment_error = paymentError || { code: 'card_declined', message: 'Your card was declined.' };
+        } else {
+            intent.status = 'canceled';
+            intent.cancellation_reason = 'requested_by_customer';
+        }
+
+        if (!deliver) {
+            log.info('🧪 Mock outcome set, event withheld', { payment_intent_id: paymentIntentId, outcome });
+            return { eventId: null, status: null };
+        }
+        return this.deliver(type, { ...intent, metadata: { ...intent.metadata } });
+    }
+
+    // Snapshot of an intent, as Stripe's retrieve; null if unknown (e.g. after a restart)
+    async retrievePaymentIntent(paymentIntentId) {
+        const intent = this.intents.get(paymentIntentId);
+        return intent ? { ...intent, metadata: { ...intent.metadata } } : null;
+    }
+
+    async cancelPaymentIntent(paymentIntentId) {
+        const intent = this.getIntent(paymentIntentId);
+        if (intent.status === 'succeeded') {
+            throw new PaymentError('A succeeded payment cannot be canceled');
+        }
+        intent.status = 'canceled';
+        intent.cancellation_reason = 'abandoned';
+
+        this.deliver('payment_intent.canceled', { ...intent, metadata: { ...intent.metadata } }).catch((error) => {
+            log.error('❌ Mock cancel event delivery failed', { payment_intent_id: paymentIntentId, error });
+        });
+        return { ...intent };
+    }
+
+    async createRefund({ paymentIntentId, amount, metadata = {} }) {
+        const intent = this.getIntent(paymentIntentId);
+        if (intent.status !== 'succeeded') {
+            throw new PaymentError('Only succeeded payments can be refunded');
+        }
+        if (amount > intent.amount - intent.amount_refunded) {
+            throw new PaymentError('Refund amount exceeds the remaining charge');
+        }
+
+        intent.amount_refunded += amount;
+        const refund = { id: randomId('re'), amount, payment_intent: paymentIntentId, metadata };
+
+        // Delivered in the background, as Stripe does once the refund call returns
+        this.deliver('charge.refunded', {
+            id: `ch_${paymentIntentId}`,
+            object: 'charge',
+            payment_intent: paymentIntentId,
+            amount: intent.amount,
+            amount_refunded: intent.amount_refunded,
+            currency: intent.currency
+        }).catch((error) => {
+            log.error('❌ Mock refund event delivery failed', { payment_intent_id: paymentIntentId, error });
+        });
+        return refund;
+    }
+
+    // Sign an event and POST it to the webhook; resolves to the HTTP status
+    async deliver(type, object) {
+        const event = {
+            id: randomId('evt'),
+            object: 'event',
+            type,
+            created: Math.floor(Date.now() / 1000),
+            data: { object }
+        };
+        const payload = JSON.stringify(event);
+
+        // The webhook request shares the id of the request that caused the event
+        const headers = {
+            'Content-Type': 'application/json',
+            [SIGNATURE_HEADER]: signatureHeader(payload, this.webhookSecret)
+        };
+        if (log.currentRequestId()) headers['X-Request-ID'] = log.currentRequestId();
+
+        const response = await fetch(this.webhookUrl, { method: 'POST', headers, body: payload });
+        log.info('🧪 Mock event delivered', {
+            event_type: type,
+            payment_intent_id: object.payment_intent || object.id,
+            webhook_status: response.status
+        });
+        return { eventId: event.id, status: response.status };
+    }
+
+    // Verify the signature the way stripe.webhooks.constructEvent does
+    constructEvent(rawBody, headers) {
+        const header = String(headers[SIGNATURE_HEADER] || '');
+        const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+        const timestamp = parseInt(parts.t, 10);
+        if (!timestamp || !parts.v1) {
+            throw new PaymentError(`Missing or malformed ${SIGNATURE_HEADER} header`);
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+            throw new PaymentError('Timestamp outside the tolerance zone');
+        }
+
+        const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+        const expected = Buffer.from(sign(payload, this.webhookSecret, timestamp));
+        const received = Buffer.from(parts.v1);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new PaymentError('No signatures found matching the expected signature for payload');
+        }
+        return JSON.parse(payload);
+    }
+}
+
+module.exports = {
+    MockProvider,
+    PaymentError,
+    MANUAL_EVENTS,
+    SIGNATURE_HEADER,
+    TEST_CARDS,
+    signatureHeader,
+    validateCard
+};
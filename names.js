@@ -0,0 +1,97 @@
+// Unicorn names are drawn into every visitor's galaxy, so they follow a policy:
+// 1-20 characters of letters, digits, spaces and a little punctuation, and
+// nothing on the blocklist. The blocklist is DEFAULT_BLOCKED_TERMS plus
+// NAME_BLOCKLIST (comma-separated) plus the admins' 'block' rules. An admin
+// 'allow' rule overrides blocks inside it: with "ass" blocked, allowing
+// "classic" lets "Classic Star" through. Admins renaming a unicorn skip the
+// blocklist but not the character rules.
+//
+// Terms match anywhere in the name after folding case, accents, common
+// look-alike digits and everything that is not a letter or digit, so
+// "B.4.d W0rd" is checked as "badword".
+
+const MAX_NAME_LENGTH = 20;
+const MAX_ADMIN_NAME_LENGTH = 40;
+const ALLOWED_NAME = /^[\p{L}\p{N}][\p{L}\p{M}\p{N} '’.,!?&_-]*$/u;
+const STACKED_MARKS = /\p{M}{3,}/u; // "Zalgo" text spills over the name tag
+
+const DEFAULT_BLOCKED_TERMS = [
+    'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nigger', 'nigga',
+    'faggot', 'retard', 'rapist', 'nazi', 'hitler'
+];
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
+
+class NameError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NameError';
+        this.status = status;
+    }
+}
+
+// Lowercase letters and digits only, for matching
+function foldForMatching(text) {
+    return text.normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[013457]/g, digit => LOOKALIKES[digit])
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function parseTermList(value) {
+    return (value || '').split(',').map(term => term.trim()).filter(Boolean);
+}
+
+class NamePolicy {
+    constructor({ blocked = DEFAULT_BLOCKED_TERMS } = {}) {
+        this.baseBlocked = blocked;
+        this.setRules([]);
+    }
+
+    // rules: rows of the name_rules table, { term, action: 'block' | 'allow' }
+    setRules(rules) {
+        const terms = action => rules.filter(rule => rule.action === action).map(rule => rule.term);
+        this.blocked = [...new Set([...this.baseBlocked, ...terms('block')].map(foldForMatching).filter(Boolean))];
+        this.allowed = [...new Set(terms('allow').map(foldForMatching).filter(Boolean))];
+    }
+
+    isBlocked(name) {
+        // Allowed terms are cut out first, so blocks inside them do not count
+        let folded = foldForMatching(name);
+        for (const term of this.allowed) {
+            folded = folded.split(term).join(' ');
+        }
+        return this.blocked.some(term => folded.includes(term));
+    }
+
+    // Clean name (NFKC, single spaces) or NameError
+    check(value, { maxLength = MAX_NAME_LENGTH, skipBlocklist = false } = {}) {
+        const name = typeof value === 'string' ? value.normalize('NFKC').replace(/\s+/g, ' ').trim() : '';
+        if (name.length === 0 || name.length > maxLength) {
+            throw new NameError(`Names must be 1-${maxLength} characters`);
+        }
+        if (!ALLOWED_NAME.test(name) || STACKED_MARKS.test(name)) {
+            throw new NameError("Names may only use letters, numbers, spaces and . , ' ! ? & _ -");
+        }
+        if (!skipBlocklist && this.isBlocked(name)) {
+            throw new NameError('This name is not allowed, please choose another');
+        }
+        return name;
+    }
+}
+
+// Shared by every route that accepts a name; the server loads the admins' rules into it
+const namePolicy = new NamePolicy({
+    blocked: [...DEFAULT_BLOCKED_TERMS, ...parseTermList(process.env.NAME_BLOCKLIST)]
+});
+
+module.exports = {
+    DEFAULT_BLOCKED_TERMS,
+    MAX_ADMIN_NAME_LENGTH,
+    MAX_NAME_LENGTH,
+    NameError,
+    NamePolicy,
+    foldForMatching,
+    namePolicy
+};
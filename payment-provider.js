@@ -0,0 +1,38 @@
+// Picks the payment provider from PAYMENT_PROVIDER:
+//   stripe (default) → Stripe, with the keys from .env
+//   mock             → offline provider with a fake card form (mock-provider.js)
+// Providers share one surface: createPaymentIntent, retrievePaymentIntent,
+// cancelPaymentIntent, constructEvent, createRefund, isConfigured,
+// clientConfig, plus `name`.
+const crypto = require('crypto');
+const { StripeProvider } = require('./stripe-provider.js');
+const { MockProvider } = require('./mock-provider.js');
+
+function createPaymentProvider({ env = process.env, port } = {}) {
+    const name = (env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+
+    if (name === 'stripe') {
+        return new StripeProvider({
+            secretKey: env.STRIPE_SECRET_KEY,
+            publishableKey: env.STRIPE_PUBLISHABLE_KEY,
+            webhookSecret: env.STRIPE_WEBHOOK_SECRET
+        });
+    }
+
+    if (name === 'mock') {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('PAYMENT_PROVIDER=mock takes no real payments and cannot run with NODE_ENV=production');
+        }
+        return new MockProvider({
+            // Random unless set, so only this process can sign its events
+            webhookSecret: env.MOCK_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+            webhookUrl: env.MOCK_WEBHOOK_URL || `http://127.0.0.1:${port}/webhook`
+        });
+    }
+
+    throw new Error(`Unknown PAYMENT_PROVIDER: ${name} (use stripe or mock)`);
+}
+
+module.exports = {
+    createPaymentProvider
+};
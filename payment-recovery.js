@@ -0,0 +1,108 @@
+// Recovery for payments the webhook left unsettled.
+// reconcilePayments() compares pending and failed rows with the payment
+// provider: successes whose webhook never arrived are fulfilled, failures and
+// cancellations recorded, and intents abandoned past the expiry window
+// canceled and marked expired. Resume links let a buyer pay a failed order
+// again; like gift links, only the token's hash is stored.
+const crypto = require('crypto');
+const log = require('./logger.js');
+const { parseSqlTimestamp, sqlTimestamp } = require('./timestamps.js');
+
+const DEFAULT_GRACE_MINUTES = 10; // Give the webhook a head start
+const DEFAULT_EXPIRY_HOURS = 24;
+const BATCH_SIZE = 100;
+
+// Intent states in which the buyer can still complete the payment
+const PAYABLE_STATUSES = new Set(['requires_payment_method', 'requires_confirmation', 'requires_action']);
+
+function hashResumeToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// The raw token goes to the buyer; the database keeps the hash
+function createResumeToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, tokenHash: hashResumeToken(token) };
+}
+
+// Settle one payment row against its intent; returns the outcome or null
+async function reconcilePayment({ db, payments, fulfill, payment, now, expiryHours }) {
+    const intent = await payments.retrievePaymentIntent(payment.payment_intent_id);
+
+    if (!intent) {
+        const expired = await db.settlePayment(payment.payment_intent_id, 'expired', 'Payment no longer exists at the provider');
+        return expired ? 'expired' : null;
+    }
+
+    if (intent.status === 'succeeded') {
+        const fulfillment = await fulfill(intent);
+        return fulfillment.alreadyProcessed ? null : 'fulfilled';
+    }
+
+    if (intent.status === 'canceled') {
+        const canceled = await db.settlePayment(payment.payment_intent_id, 'canceled', intent.cancellation_reason || null);
+        return canceled ? 'canceled' : null;
+    }
+
+    if (!PAYABLE_STATUSES.has(intent.status)) {
+        return null; // processing: the bank has not answered yet
+    }
+
+    const ageHours = (now - parseSqlTimestamp(payment.created_at)) / 3600000;
+    if (ageHours >= expiryHours) {
+        await payments.cancelPaymentIntent(payment.payment_intent_id);
+        await db.settlePayment(payment.payment_intent_id, 'expired', `Not paid within ${expiryHours} hours`);
+        return 'expired';
+    }
+
+    if (intent.last_payment_error && payment.status !== 'failed') {
+        await db.settlePayment(payment.payment_intent_id, 'failed', intent.last_payment_error.message || 'Payment failed');
+        return 'failed';
+    }
+    return null;
+}
+
+// One reconciliation pass. fulfill(intent) mints a succeeded intent's
+// unicorns the way the webhook does and resolves to fulfillPayment's result.
+async function reconcilePayments({
+    db,
+    payments,
+    fulfill,
+    now = new Date(),
+    graceMinutes = DEFAULT_GRACE_MINUTES,
+    expiryHours = DEFAULT_EXPIRY_HOURS,
+    limit = BATCH_SIZE
+}) {
+    const summary = { checked: 0, fulfilled: 0, failed: 0, canceled: 0, expired: 0, errors: 0 };
+    const cutoff = sqlTimestamp(new Date(now.getTime() - graceMinutes * 60000));
+    const unsettled = await db.getUnsettledPayments(cutoff, limit);
+
+    for (const payment of unsettled) {
+        summary.checked++;
+        try {
+            const outcome = await reconcilePayment({ db, payments, fulfill, payment, now, expiryHours });
+            if (outcome) {
+                summary[outcome]++;
+                log.info('🔄 Reconciled payment', { payment_intent_id: payment.payment_intent_id, outcome });
+            }
+            await db.markReconciled(payment.payment_intent_id);
+        } catch (error) {
+            summary.errors++;
+            log.error('❌ Error reconciling payment', { payment_intent_id: payment.payment_intent_id, error });
+        }
+    }
+
+    if (summary.checked > 0) {
+        log.info('🔄 Reconciliation finished', summary);
+    }
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_EXPIRY_HOURS,
+    DEFAULT_GRACE_MINUTES,
+    PAYABLE_STATUSES,
+    createResumeToken,
+    hashResumeToken,
+    reconcilePayments
+};
@@ -0,0 +1,69 @@
+// Shareable unicorn links: /unicorn/:id and /u/:id serve the shop with Open
+// Graph and Twitter meta tags, and the page flies the camera to the unicorn.
+
+const SITE_NAME = 'Space Unicorns';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Crawlers need absolute URLs; PUBLIC_URL wins over the request's own host
+function publicBaseUrl(req) {
+    if (process.env.PUBLIC_URL) {
+        return process.env.PUBLIC_URL.replace(/\/+$/, '');
+    }
+    const protocol = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('host')}`;
+}
+
+function shareLinks(baseUrl, unicorn) {
+    const id = encodeURIComponent(unicorn.id);
+    return {
+        page: `${baseUrl}/u/${id}`,
+        image: `${baseUrl}/unicorn/${id}/preview.png`
+    };
+}
+
+// Insert the share tags and the unicorn's title into the shop page
+function renderPermalinkPage(html, unicorn, baseUrl, imageSize) {
+    const links = shareLinks(baseUrl, unicorn);
+    const title = `${unicorn.name} · ${SITE_NAME}`;
+    const description = `${unicorn.name} is a ${unicorn.color_name.toLowerCase()} unicorn floating in the ${SITE_NAME} galaxy.`;
+
+    const tags = [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', links.page],
+        ['property', 'og:image', links.image],
+        ['property', 'og:image:type', 'image/png'],
+        ['property', 'og:image:width', imageSize.width],
+        ['property', 'og:image:height', imageSize.height],
+        ['property', 'og:image:alt', `${unicorn.name}, a ${unicorn.color_name.toLowerCase()} space unicorn`],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', links.image],
+        ['name', 'description', description]
+    ].map(([attribute, key, value]) => `    <meta ${attribute}="${key}" content="${escapeHtml(value)}">`);
+    tags.push(`    <link rel="canonical" href="${escapeHtml(links.page)}">`);
+
+    // Replacer functions, so a `$&` or `$'` in a name is not read as a pattern
+    return html
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+        .replace('</head>', () => `${tags.join('\n')}\n</head>`);
+}
+
+module.exports = {
+    SITE_NAME,
+    escapeHtml,
+    publicBaseUrl,
+    shareLinks,
+    renderPermalinkPage
+};
@@ -0,0 +1,256 @@
+// Server-side placement of new unicorns.
+// A uniform grid indexes every occupied position so each candidate is checked
+// against its neighbours only; the index is rebuilt from the unicorns table
+// and updated as orders are fulfilled. No database access here, so the
+// service can be exercised on its own with a seeded random function.
+
+const log = require('./logger.js');
+
+const DEFAULT_MIN_DISTANCE = 6;
+const MAX_ATTEMPTS_PER_RING = 20; // Failed tries before searching further out
+const BASE_RADIUS = 20;
+
+class PlacementError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlacementError';
+    }
+}
+
+// Hash grid with cells of minDistance: any neighbour closer than minDistance
+// lies in the 3x3x3 block of cells around the candidate
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.size = 0;
+    }
+
+    cellKey(x, y, z) {
+        return `${x},${y},${z}`;
+    }
+
+    cellOf(position) {
+        return {
+            x: Math.floor(position.x / this.cellSize),
+            y: Math.floor(position.y / this.cellSize),
+            z: Math.floor(position.z / this.cellSize)
+        };
+    }
+
+    add(position) {
+        const cell = this.cellOf(position);
+        const key = this.cellKey(cell.x, cell.y, cell.z);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push({ x: position.x, y: position.y, z: position.z });
+        this.size++;
+    }
+
+    remove(position) {
+        const cell = this.cellOf(position);
+        const key = this.cellKey(cell.x, cell.y, cell.z);
+        const members = this.cells.get(key);
+        if (!members) return false;
+
+        const index = members.findIndex(p => p.x === position.x && p.y === position.y && p.z === position.z);
+        if (index === -1) return false;
+
+        members.splice(index, 1);
+        if (members.length === 0) this.cells.delete(key);
+        this.size--;
+        return true;
+    }
+
+    isFree(position, minDistance) {
+        const cell = this.cellOf(position);
+        const minDistanceSq = minDistance * minDistance;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const members = this.cells.get(this.cellKey(cell.x + dx, cell.y + dy, cell.z + dz));
+                    if (!members) continue;
+
+                    for (const p of members) {
+                        const ddx = p.x - position.x;
+                        const ddy = p.y - position.y;
+                        const ddz = p.z - position.z;
+                        if (ddx * ddx + ddy * ddy + ddz * ddz < minDistanceSq) return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.size = 0;
+    }
+}
+
+// Spherical shell that grows with the herd, as the client has always used
+function randomInSphere(random, count, extraRadius) {
+    const maxRadius = BASE_RADIUS + Math.pow(count + 1, 1 / 3) * 15 + extraRadius;
+    const radius = BASE_RADIUS + random() * maxRadius;
+    const theta = random() * Math.PI * 2;
+    const phi = random() * Math.PI;
+
+    return {
+        x: radius * Math.sin(phi) * Math.cos(theta),
+        y: radius * Math.cos(phi) + random() * 50 - 25,
+        z: radius * Math.sin(phi) * Math.sin(theta)
+    };
+}
+
+function randomAround(random, center, radius) {
+    const distance = Math.cbrt(random()) * radius;
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
+
+    return {
+        x: center.x + distance * Math.sin(phi) * Math.cos(theta),
+        y: center.y + distance * Math.cos(phi),
+        z: center.z + distance * Math.sin(phi) * Math.sin(theta)
+    };
+}
+
+// Strategies pick a candidate for the n-th unicorn of an order; `ring` counts
+// how many times MAX_ATTEMPTS_PER_RING candidates were rejected, so every
+// strategy widens its search until a free spot turns up.
+const STRATEGIES = {
+    // Anywhere in the growing sphere
+    scatter(context, index, ring) {
+        return randomInSphere(context.random, context.count, ring * context.minDistance * 2);
+    },
+
+    // The whole order stays together around one free anchor point
+    cluster(context, index, ring) {
+        if (index === 0) {
+            context.anchor = randomInSphere(context.random, context.count, ring * context.minDistance * 2);
+            return context.anchor;
+        }
+        const clusterRadius = context.minDistance * (1.5 + Math.cbrt(index) + ring);
+        return randomAround(context.random, context.anchor, clusterRadius);
+    },
+
+    // Logarithmic arms in a flat disc, filled outwards as the galaxy grows
+    spiral(context, index, ring) {
+        const random = context.random;
+        const arms = 4;
+        const n = context.count + index + ring * MAX_ATTEMPTS_PER_RING;
+        const arm = n % arms;
+        const distance = BASE_RADIUS + Math.sqrt(n) * context.minDistance * 0.9;
+        const angle = (arm / arms) * Math.PI * 2 + Math.log(distance / BASE_RADIUS + 1) * 2.5;
+        const spread = context.minDistance * (1 + ring * 0.5) + distance * 0.08;
+
+        return {
+            x: Math.cos(angle) * distance + (random() - 0.5) * spread,
+            y: (random() - 0.5) * spread * 0.5,
+            z: Math.sin(angle) * distance + (random() - 0.5) * spread
+        };
+    }
+};
+
+class PlacementService {
+    constructor({ minDistance = DEFAULT_MIN_DISTANCE, strategy = 'scatter', random = Math.random } = {}) {
+        if (!STRATEGIES[strategy]) {
+            throw new PlacementError(`Unknown placement strategy: ${strategy}`);
+        }
+        this.minDistance = minDistance;
+        this.strategy = strategy;
+        this.random = random;
+        this.index = new SpatialGrid(minDistance);
+        this.loaded = false;
+    }
+
+    // Replace the index with the positions currently stored in the database
+    rebuild(positions) {
+        this.index.clear();
+        for (const position of positions) {
+            this.index.add(position);
+        }
+        this.loaded = true;
+        log.info('🧭 Placement index rebuilt', { unicorns: this.index.size });
+    }
+
+    // Rebuild unless the index holds `count` positions, the number of
+    // unicorns stored: other server processes and the database CLI add
+    // unicorns this process never placed
+    async sync(count, loadPositions) {
+        if (!this.loaded || this.index.size !== count) {
+            this.rebuild(await loadPositions());
+        }
+    }
+
+    get size() {
+        return this.index.size;
+    }
+
+    isFree(position) {
+        return this.index.isFree(position, this.minDistance);
+    }
+
+    // Reserve `count` positions at least minDistance from every indexed unicorn
+    // and from each other. They enter the index right away; call release()
+    // if the order is not saved after all.
+    place(count, { strategy = this.strategy } = {}) {
+        const pick = STRATEGIES[strategy];
+        if (!pick) {
+            throw new PlacementError(`Unknown placement strategy: ${strategy}`);
+        }
+
+        const context = {
+            random: this.random,
+            minDistance: this.minDistance,
+            count: this.index.size,
+            anchor: null
+        };
+        const positions = [];
+
+        for (let index = 0; index < count; index++) {
+            let attempts = 0;
+            let position;
+
+            do {
+                position = pick(context, index, Math.floor(attempts / MAX_ATTEMPTS_PER_RING));
+                attempts++;
+            } while (!this.isFree(position));
+
+            this.index.add(position);
+            positions.push(position);
+        }
+
+        return positions;
+    }
+
+    // Reserve the given positions, or new ones where another unicorn is too
+    // close, so imported unicorns keep their layout where it fits. Returns the
+    // positions used, in order; release() them if nothing is saved.
+    reserve(wanted) {
+        return wanted.map(position => {
+            if (!this.isFree(position)) {
+                return this.place(1)[0];
+            }
+            const kept = { x: position.x, y: position.y, z: position.z };
+            this.index.add(kept);
+            return kept;
+        });
+    }
+
+    release(positions) {
+        for (const position of positions) {
+            this.index.remove(position);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_MIN_DISTANCE,
+    STRATEGIES,
+    PlacementError,
+    PlacementService,
+    SpatialGrid
+};
@@ -0,0 +1,192 @@
+// PostgreSQL storage driver.
+// Queries are written once, in the SQLite dialect the shop started with;
+// toPostgres() rewrites the few constructs that differ. Transactions get a
+// dedicated pool client, found through AsyncLocalStorage so the same
+// run/get/all calls work inside and outside a transaction. LISTEN gets a
+// connection of its own, outside the pool.
+const { AsyncLocalStorage } = require('async_hooks');
+const log = require('./logger.js');
+
+const LISTEN_RETRY_MS = 5000;
+
+// SQLite's CURRENT_TIMESTAMP text format, so timestamps compare and sort the
+// same way on both backends
+const SQLITE_TIMESTAMP = "(to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS'))";
+
+function toPostgres(sql) {
+    let text = sql
+        .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+        .replace(/DATETIME DEFAULT CURRENT_TIMESTAMP/gi, `TEXT DEFAULT ${SQLITE_TIMESTAMP}`)
+        .replace(/\bDATETIME\b/gi, 'TEXT')
+        .replace(/\bREAL\b/gi, 'DOUBLE PRECISION')
+        .replace(/\bLIKE\b/g, 'ILIKE'); // SQLite's LIKE ignores ASCII case
+
+    if (/^\s*INSERT OR IGNORE INTO/i.test(text)) {
+        text = text.replace(/INSERT OR IGNORE INTO/i, 'INSERT INTO').replace(/;?\s*$/, ' ON CONFLICT DO NOTHING');
+    }
+
+    // ? placeholders → $1, $2, ... (queries never contain a literal ?)
+    let index = 0;
+    return text.replace(/\?/g, () => `$${++index}`);
+}
+
+class PostgresStorage {
+    // pool: a pg.Pool, or anything with query() and connect() like one.
+    // createListener: returns an unconnected pg.Client, or a stand-in, for LISTEN
+    constructor({ connectionString, pool = null, createListener = null }) {
+        this.dialect = 'postgres';
+        this.filename = null;
+        this.connectionString = connectionString;
+        this.pool = pool;
+        this.transactionClient = new AsyncLocalStorage();
+        this.createListener = createListener;
+        this.listening = null; // Promise of the connected listener
+        this.handlers = new Map(); // channel → callbacks
+    }
+
+    async open() {
+        if (!this.pool) {
+            const pg = require('pg');
+            // COUNT/SUM return int8/numeric, which pg hands back as strings
+            pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value, 10));
+            pg.types.setTypeParser(pg.types.builtins.NUMERIC, value => parseFloat(value));
+            this.pool = new pg.Pool({ connectionString: this.connectionString });
+        }
+        await this.pool.query('SELECT 1');
+        log.info('🗄️ Connected to PostgreSQL database');
+    }
+
+    query(sql, params = []) {
+        const client = this.transactionClient.getStore() || this.pool;
+        return client.query(toPostgres(sql), params);
+    }
+
+    async run(sql, params = []) {
+        const result = await this.query(sql, params);
+        return { changes: result.rowCount || 0 };
+    }
+
+    async get(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows[0];
+    }
+
+    async all(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows;
+    }
+
+    // Run work() on one client inside BEGIN/COMMIT, rolling back if it throws
+    async transaction(work) {
+        // Nested calls join the transaction already open
+        if (this.transactionClient.getStore()) return work();
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const value = await this.transactionClient.run(client, work);
+            await client.query('COMMIT');
+            return value;
+        } catch (err) {
+            await client.query('ROLLBACK').catch((rollbackErr) => {
+                log.error('❌ Error rolling back transaction', { error: rollbackErr });
+            });
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Transaction-scoped advisory lock: other transactions taking the same
+    // key, from any server process, wait until this one ends
+    async lock(key) {
+        await this.run('SELECT pg_advisory_xact_lock(hashtext(?))', [key]);
+    }
+
+    // NOTIFY reaches every process listening on the channel, this one included
+    async subscribe(channel, onMessage) {
+        const known = this.handlers.has(channel);
+        if (!known) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(onMessage);
+
+        const listener = await this.listen();
+        if (!known) await listener.query(`LISTEN ${channel}`);
+    }
+
+    async publish(channel, message) {
+        await this.run('SELECT pg_notify(?, ?)', [channel, message]);
+    }
+
+    listen() {
+        if (!this.listening) {
+            this.listening = this.connectListener();
+            this.listening.catch(() => { this.listening = null; });
+        }
+        return this.listening;
+    }
+
+    async connectListener() {
+        const client = this.createListener
+            ? this.createListener()
+            : new (require('pg').Client)({ connectionString: this.connectionString });
+        await client.connect();
+
+        client.on('notification', ({ channel, payload }) => {
+            for (const onMessage of this.handlers.get(channel) || []) {
+                onMessage(payload);
+            }
+        });
+        client.on('error', (error) => {
+            // Messages sent until the new connection listens are lost
+            log.error('❌ Lost the PostgreSQL notification connection', { error });
+            this.listening = null;
+            client.end().catch(() => {});
+            this.relisten();
+        });
+
+        for (const channel of this.handlers.keys()) {
+            await client.query(`LISTEN ${channel}`);
+        }
+        return client;
+    }
+
+    relisten() {
+        const timer = setTimeout(() => {
+            this.listen().then(
+                () => log.info('📡 Listening for PostgreSQL notifications again'),
+                (error) => {
+                    log.error('❌ Failed to listen for PostgreSQL notifications', { error });
+                    this.relisten();
+                }
+            );
+        }, LISTEN_RETRY_MS);
+        timer.unref();
+    }
+
+    async columns(table) {
+        const rows = await this.all(
+            'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? ORDER BY ordinal_position',
+            [table]
+        );
+        return rows.map(row => row.column_name);
+    }
+
+    async backup() {
+        throw new Error('Use pg_dump to back up a PostgreSQL database');
+    }
+
+    async close() {
+        if (this.listening) {
+            const listener = await this.listening.catch(() => null);
+            this.listening = null;
+            if (listener) await listener.end();
+        }
+        await this.pool.end();
+        log.info('🗄️ Database connection closed');
+    }
+}
+
+module.exports = {
+    PostgresStorage,
+    toPostgres
+};
@@ -0,0 +1,272 @@
+// Social preview images for unicorn permalinks.
+// Draws a side view of the unicorn on a starry background straight into a
+// pixel buffer and encodes it as PNG with zlib, so no GPU, canvas or image
+// library is needed on the server.
+const zlib = require('zlib');
+const { SIZE_SCALES, customizationOf } = require('./customization.js');
+
+const PREVIEW_WIDTH = 1200; // Open Graph recommended size
+const PREVIEW_HEIGHT = 630;
+const UNIT = 95; // Pixels per unit of the 3D model
+
+class PixelCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8Array(width * height * 3);
+    }
+
+    blend(x, y, color, alpha) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height || alpha <= 0) return;
+        const i = (y * this.width + x) * 3;
+        const a = Math.min(alpha, 1);
+        this.pixels[i] += (color.r - this.pixels[i]) * a;
+        this.pixels[i + 1] += (color.g - this.pixels[i + 1]) * a;
+        this.pixels[i + 2] += (color.b - this.pixels[i + 2]) * a;
+    }
+
+    // Vertical gradient between two colors
+    fillBackground(top, bottom) {
+        for (let y = 0; y < this.height; y++) {
+            const t = y / (this.height - 1);
+            const color = {
+                r: top.r + (bottom.r - top.r) * t,
+                g: top.g + (bottom.g - top.g) * t,
+                b: top.b + (bottom.b - top.b) * t
+            };
+            for (let x = 0; x < this.width; x++) {
+                this.blend(x, y, color, 1);
+            }
+        }
+    }
+
+    // Filled ellipse; `softness` widens the edge into a glow
+    fillEllipse(cx, cy, rx, ry, color, alpha = 1, softness = 1) {
+        const minX = Math.floor(cx - rx - softness);
+        const maxX = Math.ceil(cx + rx + softness);
+        const minY = Math.floor(cy - ry - softness);
+        const maxY = Math.ceil(cy + ry + softness);
+        const scale = Math.min(rx, ry);
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const dx = (x + 0.5 - cx) / rx;
+                const dy = (y + 0.5 - cy) / ry;
+                const edge = (1 - Math.sqrt(dx * dx + dy * dy)) * scale / softness + 0.5;
+                if (edge > 0) this.blend(x, y, color, alpha * Math.min(edge, 1));
+            }
+        }
+    }
+
+    // Filled convex polygon, anti-aliased on its edges
+    fillPolygon(points, color, alpha = 1) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const edges = points.map((p, i) => {
+            const q = points[(i + 1) % points.length];
+            const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+            return { p, nx: (q.y - p.y) / length, ny: (p.x - q.x) / length };
+        });
+        // Normals must point inwards whatever the winding order
+        const area = points.reduce((sum, p, i) => {
+            const q = points[(i + 1) % points.length];
+            return sum + p.x * q.y - q.x * p.y;
+        }, 0);
+        const sign = area > 0 ? -1 : 1;
+
+        for (let y = Math.floor(Math.min(...ys)) - 1; y <= Math.ceil(Math.max(...ys)) + 1; y++) {
+            for (let x = Math.floor(Math.min(...xs)) - 1; x <= Math.ceil(Math.max(...xs)) + 1; x++) {
+                let coverage = 1;
+                for (const edge of edges) {
+                    const distance = sign * ((x + 0.5 - edge.p.x) * edge.nx + (y + 0.5 - edge.p.y) * edge.ny);
+                    coverage = Math.min(coverage, distance + 0.5);
+                }
+                if (coverage > 0) this.blend(x, y, color, alpha * coverage);
+            }
+        }
+    }
+
+    toPNG() {
+        // Each scanline starts with filter type 0 (none)
+        const raw = Buffer.alloc((this.width * 3 + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            const row = y * (this.width * 3 + 1);
+            raw[row] = 0;
+            raw.set(this.pixels.subarray(y * this.width * 3, (y + 1) * this.width * 3), row + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 2; // Truecolor RGB
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function parseHex(hex) {
+    const value = parseInt(String(hex || '').replace('#', ''), 16);
+    if (Number.isNaN(value)) return { r: 255, g: 255, b: 255 };
+    return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+// Same seed → same stars, so a unicorn always gets the same picture
+function seededRandom(seedText) {
+    let seed = 2166136261;
+    for (const char of String(seedText)) {
+        seed = Math.imul(seed ^ char.charCodeAt(0), 16777619) >>> 0;
+    }
+    return () => {
+        seed = (seed + 0x6d2b79f5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// PNG buffer showing the unicorn the way the shop renders it, seen from the side
+function renderUnicornPreview(unicorn) {
+    const canvas = new PixelCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT);
+    const random = seededRandom(unicorn.id);
+    const custom = customizationOf(unicorn);
+    const color = parseHex(unicorn.color_hex);
+    const white = { r: 255, g: 255, b: 255 };
+    const gold = { r: 255, g: 215, b: 0 };
+    const dark = { r: 20, g: 20, b: 40 };
+    const horn = parseHex(custom.horn_hex);
+    const wing = parseHex(custom.wing_hex);
+
+    canvas.fillBackground({ r: 0, g: 0, b: 17 }, { r: 30, g: 10, b: 60 });
+    for (let i = 0; i < 220; i++) {
+        const size = 0.6 + random() * 1.6;
+        canvas.fillEllipse(random() * PREVIEW_WIDTH, random() * PREVIEW_HEIGHT, size, size, white, 0.4 + random() * 0.6);
+    }
+
+    // Model coordinates (x right, y up) to pixels, body centered. Sizes are
+    // toned down so a giant still fits the picture.
+    const unit = UNIT * (1 + (SIZE_SCALES[custom.size] - 1) * 0.35);
+    const cx = PREVIEW_WIDTH / 2 - 0.5 * unit;
+    const cy = PREVIEW_HEIGHT / 2 + 0.2 * unit;
+    const px = (x, y) => ({ x: cx + x * unit, y: cy - y * unit });
+
+    // Halo in the unicorn's color, stronger with the glow effect
+    const glow = custom.effect === 'glow';
+    canvas.fillEllipse(cx + 0.5 * unit, cy - 0.2 * unit, 4.2 * unit, 3 * unit, color, glow ? 0.5 : 0.25, 2.5 * unit);
+    if (custom.effect === 'trail') {
+        canvas.fillPolygon([px(-1.5, 0.6), px(-7, 0.1), px(-7, -0.1), px(-1.5, -0.6)], color, 0.35);
+        canvas.fillPolygon([px(-1.5, 0.3), px(-5, 0), px(-1.5, -0.3)], white, 0.3);
+    }
+
+    // Far wing and legs first, then body, head and horn on top
+    drawWing(canvas, px, custom.wing_style, wing, 0.55, 0.6);
+    for (const legX of [-1, 1]) {
+        canvas.fillPolygon([px(legX - 0.2, -0.6), px(legX + 0.2, -0.6), px(legX + 0.2, -2.25), px(legX - 0.2, -2.25)], color, 0.75);
+        canvas.fillPolygon([px(legX + 0.05, -0.6), px(legX + 0.45, -0.6), px(legX + 0.45, -2.25), px(legX + 0.05, -2.25)], color, 1);
+    }
+    canvas.fillEllipse(cx, cy, 2 * unit, 1 * unit, color, 0.9);
+    canvas.fillEllipse(px(2.5, 0.5).x, px(2.5, 0.5).y, 0.8 * unit, 0.8 * unit, color, 1);
+    canvas.fillEllipse(px(2.8, 0.7).x, px(2.8, 0.7).y, 0.12 * unit, 0.12 * unit, dark, 1);
+    drawAccessories(canvas, px, unit, custom.accessories, { gold, dark, white });
+    drawHorn(canvas, px, custom.horn_style, horn);
+    drawWing(canvas, px, custom.wing_style, wing, 0.75, 0);
+
+    return canvas.toPNG();
+}
+
+// One wing seen from the side; `shift` moves the far wing back
+function drawWing(canvas, px, style, color, alpha, shift) {
+    const at = (x, y) => px(x + shift, y);
+    if (style === 'none') return;
+    if (style === 'butterfly') {
+        canvas.fillPolygon([at(-0.2, 0.7), at(-0.9, 2.6), at(0.2, 2.9), at(0.3, 0.8)], color, alpha);
+        canvas.fillPolygon([at(-0.1, 0.7), at(-0.6, 1.6), at(0.4, 1.5)], color, alpha);
+    } else if (style === 'bat') {
+        // Scalloped edge from convex pieces
+        canvas.fillPolygon([at(-0.6, 0.7), at(-1.2, 2.2), at(-0.5, 1.9), at(-0.1, 0.7)], color, alpha);
+        canvas.fillPolygon([at(-0.1, 0.7), at(-0.5, 1.9), at(-0.1, 3.0), at(0.3, 1.9)], color, alpha);
+        canvas.fillPolygon([at(-0.1, 0.7), at(0.3, 1.9), at(0.8, 2.4), at(0.3, 0.6)], color, alpha);
+    } else {
+        canvas.fillPolygon([at(-0.6, 0.7), at(-0.1, 2.9), at(0.6, 2.5), at(0.3, 0.6)], color, alpha);
+    }
+}
+
+function drawHorn(canvas, px, style, color) {
+    if (style === 'twin') {
+        canvas.fillPolygon([px(2.3, 1.1), px(2.6, 1.2), px(2.9, 2.2)], color, 1);
+        canvas.fillPolygon([px(2.7, 1.15), px(3.0, 1.25), px(3.5, 2.2)], color, 1);
+    } else if (style === 'crystal') {
+        canvas.fillPolygon([px(2.5, 1.1), px(2.85, 1.6), px(3.6, 2.6), px(3.0, 1.2)], color, 1);
+        canvas.fillPolygon([px(2.85, 1.6), px(3.6, 2.6), px(3.0, 1.2)], { r: 255, g: 255, b: 255 }, 0.35);
+    } else {
+        canvas.fillPolygon([px(2.55, 1.1), px(2.95, 1.25), px(3.5, 2.4)], color, 1);
+        if (style === 'spiral') {
+            for (let i = 1; i <= 3; i++) {
+                const t = i / 4;
+                const a = px(2.55 + 0.95 * t, 1.1 + 1.3 * t);
+                canvas.fillEllipse(a.x + 6, a.y, 9 * (1 - t), 2.5, { r: 255, g: 255, b: 255 }, 0.6);
+            }
+        }
+    }
+}
+
+function drawAccessories(canvas, px, unit, accessories, { gold, dark, white }) {
+    if (accessories.includes('scarf')) {
+        canvas.fillPolygon([px(1.6, 0.9), px(2.1, 0.5), px(2.0, -0.2), px(1.5, 0.2)], { r: 220, g: 40, b: 60 }, 1);
+    }
+    if (accessories.includes('bow_tie')) {
+        const knot = px(2.1, -0.15);
+        canvas.fillPolygon([knot, px(1.8, 0.05), px(1.8, -0.35)], dark, 1);
+        canvas.fillPolygon([knot, px(2.4, 0.05), px(2.4, -0.35)], dark, 1);
+    }
+    if (accessories.includes('glasses')) {
+        for (const x of [2.65, 3.0]) {
+            const lens = px(x, 0.7);
+            canvas.fillEllipse(lens.x, lens.y, 0.17 * unit, 0.15 * unit, dark, 0.85);
+        }
+        canvas.fillEllipse(px(2.82, 0.72).x, px(2.82, 0.72).y, 0.05 * unit, 0.02 * unit, white, 0.8);
+    }
+    if (accessories.includes('crown')) {
+        canvas.fillPolygon([px(1.95, 1.05), px(1.95, 1.35), px(2.5, 1.35), px(2.5, 1.05)], gold, 1);
+        for (const x of [1.95, 2.2, 2.45]) {
+            canvas.fillPolygon([px(x - 0.05, 1.35), px(x + 0.05, 1.35), px(x, 1.65)], gold, 1);
+        }
+    }
+}
+
+module.exports = {
+    PREVIEW_WIDTH,
+    PREVIEW_HEIGHT,
+    renderUnicornPreview
+};
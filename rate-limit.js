@@ -0,0 +1,69 @@
+// Fixed-window request limits kept in process memory: with several server
+// processes (see ecosystem.config.js) each counts on its own, so a client
+// may get up to that many times the limit. The server uses them on
+// payment-intent creation, per client IP and per shop session:
+//   PAYMENT_RATE_LIMIT_IP=30              requests per window from one IP (0 disables)
+//   PAYMENT_RATE_LIMIT_SESSION=10         requests per window from one session (0 disables)
+//   PAYMENT_RATE_LIMIT_WINDOW_SECONDS=600
+// and on share image renders (cached images are not counted), per client IP:
+//   PREVIEW_RATE_LIMIT_IP=60              renders per window from one IP (0 disables)
+//   PREVIEW_RATE_LIMIT_WINDOW_SECONDS=60
+// Behind nginx set TRUST_PROXY (e.g. loopback) so req.ip is the client's
+// address from X-Forwarded-For rather than the proxy's.
+const { sendError } = require('./api-errors.js');
+
+const MAX_TRACKED_KEYS = 50000; // Expired windows are dropped once this many are tracked
+
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map(); // key → { count, resetAt }
+    }
+
+    // Counts one request for key: { allowed, retryAfter } (seconds until the window resets)
+    hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            if (this.windows.size >= MAX_TRACKED_KEYS) this.prune(now);
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        return {
+            allowed: window.count <= this.limit,
+            retryAfter: Math.ceil((window.resetAt - now) / 1000)
+        };
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+// Middleware over several limits. limits: [{ limiter, key: req => string or
+// null (null skips that limit), message }]. A request over any limit gets 429
+// with Retry-After.
+function rateLimit(limits) {
+    return (req, res, next) => {
+        for (const { limiter, key, message } of limits) {
+            const id = key(req);
+            if (id === null || id === undefined) continue;
+
+            const { allowed, retryAfter } = limiter.hit(id);
+            if (!allowed) {
+                res.set('Retry-After', String(retryAfter));
+                return sendError(res, 429, message);
+            }
+        }
+        next();
+    };
+}
+
+module.exports = {
+    RateLimiter,
+    rateLimit
+};
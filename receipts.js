@@ -0,0 +1,167 @@
+// Order receipts: the printable page at /orders/:paymentIntentId/receipt and
+// the email sent once an order's unicorns are in the galaxy. Both list the
+// order's line items and link each visible unicorn to its permalink.
+const { SITE_NAME, escapeHtml, shareLinks } = require('./permalinks.js');
+const { DEFAULT_CUSTOMIZATION } = require('./customization.js');
+const { formatAmount } = require('./currencies.js');
+
+const MAX_LISTED_UNICORNS = 100; // The rest of a big order is summed up as "and N more"
+
+const STATUS_LABELS = {
+    pending: 'Awaiting payment',
+    failed: 'Payment failed',
+    canceled: 'Canceled',
+    expired: 'Expired',
+    succeeded: 'Paid',
+    partially_refunded: 'Partially refunded',
+    refunded: 'Refunded'
+};
+
+// Timestamps come as ISO strings, SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC) or Dates
+function formatDate(value) {
+    if (!value) return '';
+    const date = value instanceof Date
+        ? value
+        : new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// 'Crystal horn, bat wings, crown, large, glow': the options that differ from the defaults
+function describeCustomization(customization) {
+    if (!customization) return '';
+    const words = value => value.replace(/_/g, ' ');
+    const parts = [];
+    if (customization.horn_style !== DEFAULT_CUSTOMIZATION.horn_style) parts.push(`${words(customization.horn_style)} horn`);
+    if (customization.horn_hex !== DEFAULT_CUSTOMIZATION.horn_hex) parts.push(`${customization.horn_hex} horn color`);
+    if (customization.wing_style === 'none') {
+        parts.push('no wings');
+    } else if (customization.wing_style !== DEFAULT_CUSTOMIZATION.wing_style) {
+        parts.push(`${words(customization.wing_style)} wings`);
+    }
+    if (customization.wing_hex !== DEFAULT_CUSTOMIZATION.wing_hex) parts.push(`${customization.wing_hex} wing color`);
+    parts.push(...customization.accessories.map(words));
+    if (customization.size !== DEFAULT_CUSTOMIZATION.size) parts.push(customization.size);
+    if (customization.effect !== DEFAULT_CUSTOMIZATION.effect) parts.push(customization.effect);
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Everything both renderings show, already formatted
+function receiptDetails(payment, unicorns, baseUrl) {
+    const listed = unicorns.slice(0, MAX_LISTED_UNICORNS);
+    return {
+        reference: payment.payment_intent_id,
+        baseName: payment.base_name,
+        style: describeCustomization(JSON.parse(payment.customization || 'null')),
+        status: STATUS_LABELS[payment.status] || payment.status,
+        orderedAt: formatDate(payment.created_at),
+        paidAt: formatDate(payment.completed_at),
+        lines: JSON.parse(payment.unicorn_orders || '[]').map(order => `${order.quantity} × ${order.color}`),
+        total: formatAmount(payment.total_amount, payment.currency),
+        refunded: payment.refunded_amount > 0 ? formatAmount(payment.refunded_amount, payment.currency) : null,
+        unicorns: listed.map(unicorn => ({ name: unicorn.name, color: unicorn.color_name, url: shareLinks(baseUrl, unicorn).page })),
+        unlisted: unicorns.length - listed.length,
+        receiptUrl: `${baseUrl}/orders/${encodeURIComponent(payment.payment_intent_id)}/receipt`
+    };
+}
+
+function receiptHtml(details) {
+    const rows = [
+        ['Order', details.reference],
+        ['Name', details.baseName],
+        ['Style', details.style],
+        ['Status', details.status],
+        ['Ordered', details.orderedAt],
+        ['Paid', details.paidAt]
+    ].filter(([, value]) => value)
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`);
+
+    const lines = details.lines.map(line => `<tr><td>${escapeHtml(line)}</td></tr>`);
+    lines.push(`<tr class="total"><td>Total ${escapeHtml(details.total)}</td></tr>`);
+    if (details.refunded) {
+        lines.push(`<tr><td>Refunded ${escapeHtml(details.refunded)}</td></tr>`);
+    }
+
+    const unicorns = details.unicorns.map(unicorn =>
+        `<li><a href="${escapeHtml(unicorn.url)}">${escapeHtml(unicorn.name)}</a> (${escapeHtml(unicorn.color)})</li>`);
+    if (details.unlisted > 0) {
+        unicorns.push(`<li>and ${details.unlisted} more</li>`);
+    }
+
+    return `<table class="details">${rows.join('')}</table>
+<table class="lines">${lines.join('')}</table>
+${unicorns.length ? `<h2>Your unicorns</h2>\n<ul class="unicorns">${unicorns.join('')}</ul>` : ''}`;
+}
+
+function renderReceiptPage({ payment, unicorns, baseUrl }) {
+    const details = receiptDetails(payment, unicorns, baseUrl);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Receipt ${escapeHtml(details.reference)} · ${SITE_NAME}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 640px; margin: 40px auto; padding: 0 20px; color: #222; }
+        h1 { font-size: 24px; margin-bottom: 4px; }
+        h2 { font-size: 18px; margin-top: 28px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { text-align: left; padding: 6px 0; border-bottom: 1px solid #ddd; }
+        th { width: 30%; color: #666; font-weight: normal; }
+        .total td { font-weight: bold; }
+        .unicorns { columns: 2; padding-left: 20px; }
+        a { color: #5a3fc0; }
+        .actions { margin-top: 30px; }
+        .actions button, .actions a { margin-right: 12px; }
+        @media print {
+            .actions { display: none; }
+            a { color: inherit; text-decoration: none; }
+        }
+    </style>
+</head>
+<body>
+    <h1>🦄 ${SITE_NAME}</h1>
+    <div>Order receipt</div>
+    ${receiptHtml(details)}
+    <div class="actions">
+        <button type="button" onclick="window.print()">Print receipt</button>
+        <a href="/">Back to the galaxy</a>
+    </div>
+</body>
+</html>
+`;
+}
+
+// { subject, text, html } for the receipt email
+function renderReceiptEmail({ payment, unicorns, baseUrl }) {
+    const details = receiptDetails(payment, unicorns, baseUrl);
+
+    const text = [
+        `Thank you for your order! Your unicorns are floating in the ${SITE_NAME} galaxy.`,
+        '',
+        `Order: ${details.reference}`,
+        `Name: ${details.baseName}`,
+        ...(details.style ? [`Style: ${details.style}`] : []),
+        `Paid: ${details.paidAt}`,
+        '',
+        ...details.lines,
+        `Total: ${details.total}`,
+        '',
+        ...details.unicorns.map(unicorn => `- ${unicorn.name} (${unicorn.color}): ${unicorn.url}`),
+        ...(details.unlisted > 0 ? [`- and ${details.unlisted} more`] : []),
+        '',
+        `Printable receipt: ${details.receiptUrl}`
+    ].join('\n');
+
+    const html = `<p>Thank you for your order! Your unicorns are floating in the ${SITE_NAME} galaxy.</p>
+${receiptHtml(details)}
+<p><a href="${escapeHtml(details.receiptUrl)}">Printable receipt</a></p>`;
+
+    return { subject: `Your ${SITE_NAME} receipt: ${details.baseName}`, text, html };
+}
+
+module.exports = {
+    renderReceiptEmail,
+    renderReceiptPage
+};
@@ -0,0 +1,171 @@
+// Request body schemas for every JSON route (see validation.js). Domain rules
+// stay in their modules; these only shape and bound the input.
+const {
+    array, boolean, check, integer, nullable, number, numeric, object, oneOf, optional, string
+} = require('./validation.js');
+const auth = require('./auth.js');
+const gifts = require('./gifts.js');
+const { CustomizationError, normalizeCustomization, parseHexColor } = require('./customization.js');
+const { MAX_ADMIN_NAME_LENGTH, NameError, namePolicy } = require('./names.js');
+const search = require('./search.js');
+const { CURRENCIES } = require('./currencies.js');
+const history = require('./history.js');
+const snapshots = require('./snapshots.js');
+const { SQL_TIMESTAMP } = require('./timestamps.js');
+
+const MAX_LINE_QUANTITY = 100000;
+const MAX_ORDER_LINES = 50;
+
+// Shop sessions are generated by the page, e.g. session_k3j9x2a1b_1700000000000
+const sessionId = string({ max: 100, pattern: /^[A-Za-z0-9_-]+$/ });
+const email = string({ max: 254 });
+const password = string({ max: 200, trim: false });
+// 2024-05-01, or with a time: 2024-05-01 12:30 / 2024-05-01T12:30:00
+const date = string({ max: 19, pattern: /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?$/ });
+
+// Routes that take no input still reject unexpected fields
+const empty = object({});
+
+const signup = object({ email, password, session_id: optional(sessionId) });
+const login = object({ email, password, session_id: optional(sessionId) });
+const claimSession = object({ session_id: sessionId });
+const transfer = object({ email: check(auth.normalizeEmail, auth.AuthError) });
+
+const createPaymentIntent = object({
+    base_name: check(name => namePolicy.check(name), NameError),
+    unicorn_orders: array(object({
+        color: string({ max: 50 }), // Catalog name or '#rrggbb', checked when pricing
+        quantity: integer({ min: 1, max: MAX_LINE_QUANTITY })
+    }), { min: 1, max: MAX_ORDER_LINES }),
+    user_session: sessionId,
+    gift: nullable(check(gifts.validateGift, gifts.GiftError)),
+    receipt_email: nullable(check(auth.normalizeEmail, auth.AuthError)),
+    customization: check(normalizeCustomization, CustomizationError),
+    currency: optional(oneOf(CURRENCIES)) // The base currency when omitted
+});
+
+// Omitted amount: refund whatever is left
+const refund = object({ amount: optional(integer({ min: 1 })) });
+
+// Admin browsing filters (see buildAdminFilters in database.js)
+const PAYMENT_STATUSES = ['pending', 'failed', 'succeeded', 'partially_refunded', 'refunded', 'canceled', 'expired'];
+const adminFilters = {
+    from: optional(date),
+    to: optional(date),
+    session: optional(string({ max: 100 })),
+    q: optional(string({ max: 100 })),
+    limit: optional(numeric({ min: 1, max: 500 })),
+    offset: optional(numeric({ max: 1000000 }))
+};
+const adminPayments = object({ status: optional(oneOf(PAYMENT_STATUSES)), ...adminFilters });
+const adminUnicorns = object({ status: optional(oneOf(['visible', 'hidden', 'refunded'])), ...adminFilters });
+
+// Admins may use names the blocklist would stop
+const adminName = check(name => namePolicy.check(name, { maxLength: MAX_ADMIN_NAME_LENGTH, skipBlocklist: true }), NameError);
+
+const moderateUnicorn = object({
+    name: optional(adminName),
+    hidden: optional(boolean())
+});
+
+const nameRule = object({
+    term: string({ max: 40 }),
+    action: oneOf(['block', 'allow'])
+});
+
+// Query strings of the public search and leaderboards (see search.js)
+const unicornSearch = object({
+    q: optional(string({ max: 40 })),
+    mode: optional(oneOf(search.SEARCH_MODES)),
+    color: optional(string({ max: 50 })),
+    owner: optional(string({ max: 100 })), // 'me' or a unicorn id
+    session: optional(sessionId),
+    from: optional(date),
+    to: optional(date),
+    limit: optional(numeric({ min: 1, max: search.MAX_SEARCH_RESULTS })),
+    offset: optional(numeric({ max: 100000 }))
+});
+
+const leaderboard = object({
+    limit: optional(numeric({ min: 1, max: search.MAX_LEADERBOARD_ENTRIES }))
+});
+
+// Storefront query strings (see currencies.js and i18n.js)
+const shopConfig = object({ currency: optional(oneOf(CURRENCIES)) });
+const storefrontLocale = object({ locale: optional(string({ max: 35 })) });
+
+// Galaxy timeline and snapshots (see history.js and snapshots.js)
+const galaxyHistory = object({
+    bucket: optional(oneOf(['auto', ...history.BUCKET_NAMES])),
+    from: optional(date),
+    to: optional(date)
+});
+
+const galaxyExport = object({
+    format: optional(oneOf(snapshots.EXPORT_FORMATS)),
+    owner: optional(string({ max: 100 })), // 'me' or a unicorn id, as in search
+    session: optional(sessionId)
+});
+
+const hexColor = check(value => {
+    const hex = parseHexColor(value);
+    if (!hex) throw new CustomizationError('must be a hex color like #ff69b4');
+    return hex;
+}, CustomizationError);
+const coordinate = number({ min: -1e7, max: 1e7 });
+
+// Snapshots are imported by admins, so names follow the admin rename rules
+const galaxyImport = object({
+    format: oneOf([snapshots.SNAPSHOT_FORMAT]),
+    version: check(snapshots.checkVersion, snapshots.SnapshotError),
+    exported_at: optional(string({ max: 40 })),
+    scope: optional(oneOf(snapshots.SNAPSHOT_SCOPES)),
+    unicorn_count: optional(integer({ min: 0 })),
+    unicorns: array(object({
+        id: string({ max: 100, pattern: /^[A-Za-z0-9_-]+$/ }),
+        name: adminName,
+        color_name: string({ max: 50 }),
+        color_hex: hexColor,
+        position: object({ x: coordinate, y: coordinate, z: coordinate }),
+        initial_rotation: number({ min: -100, max: 100 }),
+        created_at: string({ max: 19, pattern: SQL_TIMESTAMP }),
+        customization: check(normalizeCustomization, CustomizationError)
+    }), { max: snapshots.MAX_IMPORT_UNICORNS })
+});
+
+const mockConfirm = object({
+    client_secret: string({ max: 200 }),
+    card: object({
+        number: string({ min: 0, max: 30 }),
+        expiry: string({ min: 0, max: 10 }),
+        cvc: string({ min: 0, max: 10 })
+    })
+});
+
+const mockEvent = object({
+    outcome: string({ max: 30 }),
+    deliver: optional(boolean())
+});
+
+module.exports = {
+    adminPayments,
+    adminUnicorns,
+    claimSession,
+    createPaymentIntent,
+    empty,
+    galaxyExport,
+    galaxyHistory,
+    galaxyImport,
+    leaderboard,
+    login,
+    mockConfirm,
+    mockEvent,
+    moderateUnicorn,
+    nameRule,
+    refund,
+    shopConfig,
+    signup,
+    storefrontLocale,
+    transfer,
+    unicornSearch
+};
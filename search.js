@@ -0,0 +1,84 @@
+// Public unicorn search and leaderboards. Search finds visible unicorns by
+// name, color, owner and purchase date:
+//   GET /unicorns/search?q=spark&mode=prefix|fuzzy&color=&owner=&session=&from=&to=&limit=&offset=
+// prefix matches names starting with q. fuzzy also matches q anywhere in the
+// name, and names bought under a base name within a typo or two of q
+// ("sparkel" finds "Sparkle 3").
+//
+// Owners stay anonymous: owner is either "me" (the signed-in account, plus
+// unicorns the shop session passed as session bought that no account has
+// claimed) or the id of any unicorn, meaning "the herd that unicorn belongs
+// to". The herd leaderboard names herds by their first
+// unicorn for the same reason.
+
+const SEARCH_MODES = ['prefix', 'fuzzy'];
+const MAX_SEARCH_RESULTS = 100;
+const MAX_LEADERBOARD_ENTRIES = 50;
+const MAX_FUZZY_NAMES = 100; // Base names a fuzzy query may expand to
+
+// Edit distance where swapping two neighbouring letters counts as one edit
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Typos allowed for a query: none below 3 characters, at most 2
+function fuzzyTolerance(query) {
+    return Math.min(2, Math.floor(query.length / 3));
+}
+
+// Distance from query to name, or to the start of name for partly typed
+// queries; null when more than the tolerance
+function fuzzyDistance(query, name) {
+    const tolerance = fuzzyTolerance(query);
+    if (tolerance === 0) return null;
+
+    const q = query.toLowerCase();
+    const candidate = name.toLowerCase();
+    const distance = Math.min(
+        editDistance(q, candidate),
+        editDistance(q, candidate.slice(0, q.length))
+    );
+    return distance <= tolerance ? distance : null;
+}
+
+// The base names closest to query, best first
+function closestNames(query, names, limit = MAX_FUZZY_NAMES) {
+    return names
+        .map(name => ({ name, distance: fuzzyDistance(query, name) }))
+        .filter(match => match.distance !== null)
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map(match => match.name);
+}
+
+// Text for a LIKE pattern, with its wildcards taken literally (ESCAPE '\')
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+module.exports = {
+    MAX_LEADERBOARD_ENTRIES,
+    MAX_SEARCH_RESULTS,
+    SEARCH_MODES,
+    closestNames,
+    editDistance,
+    escapeLike,
+    fuzzyDistance
+};
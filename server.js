@@ -1,86 +1,773 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const UnicornDatabase = require('./database.js');
-const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_UNICORN_PRICE, calculateOrderTotal, catalogIn, PricingError } = require('./catalog.js');
+const currencies = require('./currencies.js');
+const i18n = require('./i18n.js');
+const customization = require('./customization.js');
+const auth = require('./auth.js');
+const { LiveUpdates, toPublicUnicorn } = require('./live-updates.js');
+const spatial = require('./spatial.js');
+const { PlacementService, DEFAULT_MIN_DISTANCE } = require('./placement.js');
+const permalinks = require('./permalinks.js');
+const gifts = require('./gifts.js');
+const { renderUnicornPreview, PREVIEW_WIDTH, PREVIEW_HEIGHT } = require('./preview.js');
+const { createPaymentProvider } = require('./payment-provider.js');
+const { PaymentError } = require('./mock-provider.js');
+const recovery = require('./payment-recovery.js');
+const { createMailer } = require('./mailer.js');
+const receipts = require('./receipts.js');
+const history = require('./history.js');
+const snapshots = require('./snapshots.js');
+const gltf = require('./gltf.js');
+const { errorHandler, sendError } = require('./api-errors.js');
+const { ValidationError, validateBody, validateQuery } = require('./validation.js');
+const schemas = require('./schemas.js');
+const { namePolicy } = require('./names.js');
+const { RateLimiter, rateLimit } = require('./rate-limit.js');
+const log = require('./logger.js');
+const metrics = require('./metrics.js');
 
-// Check if Stripe keys are configured
-if (!process.env.STRIPE_SECRET_KEY || process.env.STRIPE_SECRET_KEY.includes('51234567890abcdef')) {
-    console.log('⚠️  WARNING: Please configure your Stripe keys in the .env file');
-    console.log('📝 Edit .env and replace the placeholder keys with your actual Stripe keys');
-    console.log('🔗 Get your keys from: https://dashboard.stripe.com/apikeys');
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. loopback, or a hop count) makes
+// req.ip the client's address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust) : trust === 'true' || trust);
 }
 
-const stripe = process.env.STRIPE_SECRET_KEY && !process.env.STRIPE_SECRET_KEY.includes('51234567890abcdef') 
-    ? require('stripe')(process.env.STRIPE_SECRET_KEY)
-    : null;
+// Stripe, or the offline mock with PAYMENT_PROVIDER=mock
+const payments = createPaymentProvider({ port: PORT });
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Check if Stripe keys are configured
+if (!payments.isConfigured()) {
+    log.warn('⚠️ Payment provider is not configured: set the Stripe keys in .env (https://dashboard.stripe.com/apikeys) or PAYMENT_PROVIDER=mock to try checkout offline');
+} else if (payments.name === 'mock') {
+    log.info('🧪 Mock payment provider active: no real payments are taken');
+}
 
 // Initialize database
 const db = new UnicornDatabase();
 
-// Position generation for database (server-side)
-function generateDatabasePosition(unicornCount) {
-    const baseRadius = 20;
-    const expansionFactor = Math.pow(unicornCount + 1, 1/3);
-    const maxRadius = baseRadius + (expansionFactor * 15);
-    
-    const radius = baseRadius + Math.random() * maxRadius;
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.random() * Math.PI;
-    
-    return {
-        x: radius * Math.sin(phi) * Math.cos(theta),
-        y: radius * Math.cos(phi) + Math.random() * 50 - 25,
-        z: radius * Math.sin(phi) * Math.sin(theta)
-    };
+// Admin routes check the account's is_admin flag on every request
+const requireAdmin = auth.requireAdmin(userId => db.getUserById(userId));
+
+// Receipt emails over SMTP_URL; logged and skipped when it is not set
+const mailer = createMailer();
+
+// Push channel for galaxy changes, relayed to every server process once the
+// database is open
+const liveUpdates = new LiveUpdates();
+
+// Rendered share images, keyed by unicorn id and color
+const PREVIEW_CACHE_SIZE = 200;
+const previewCache = new Map();
+
+// Collision-free placement; the index is rebuilt from the database on first
+// use and whenever another process has added unicorns since
+const placement = new PlacementService({
+    minDistance: parseFloat(process.env.PLACEMENT_MIN_DISTANCE) || DEFAULT_MIN_DISTANCE,
+    strategy: process.env.PLACEMENT_STRATEGY || 'cluster'
+});
+
+// Checkout abuse protection (see rate-limit.js); a limit of 0 disables it
+function envLimit(name, fallback) {
+    const limit = parseInt(process.env[name]);
+    return Number.isNaN(limit) ? fallback : limit;
+}
+
+const PAYMENT_RATE_WINDOW_MS = (parseFloat(process.env.PAYMENT_RATE_LIMIT_WINDOW_SECONDS) || 600) * 1000;
+const paymentRateLimit = rateLimit([
+    {
+        limiter: new RateLimiter({ limit: envLimit('PAYMENT_RATE_LIMIT_IP', 30), windowMs: PAYMENT_RATE_WINDOW_MS }),
+        key: req => req.ip,
+        message: 'Too many checkout attempts from your network, please try again later'
+    },
+    {
+        limiter: new RateLimiter({ limit: envLimit('PAYMENT_RATE_LIMIT_SESSION', 10), windowMs: PAYMENT_RATE_WINDOW_MS }),
+        // Counted before validation, so junk requests use up the allowance too
+        key: req => (typeof req.body.user_session === 'string' ? req.body.user_session.slice(0, 100) : null),
+        message: 'Too many checkout attempts, please try again later'
+    }
+].filter(limit => limit.limiter.limit > 0));
+
+// Share images take a moment of CPU each, so renders (not cache hits) are
+// limited per IP as well
+const previewRateLimit = new RateLimiter({
+    limit: envLimit('PREVIEW_RATE_LIMIT_IP', 60),
+    windowMs: (parseFloat(process.env.PREVIEW_RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000
+});
+
+// Without a usable payment provider pages show the setup guide
+function isShopConfigured() {
+    return payments.isConfigured();
+}
+
+// Access log and latency metrics, written once the response is sent. Health
+// probes and scrapes only log at debug level.
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+function observeRequests(req, res, next) {
+    const start = Date.now();
+    const stopTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        // Route patterns rather than paths keep unicorn ids out of the labels
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : (res.statusCode === 404 ? 'unmatched' : 'static');
+        stopTimer({ route, status: res.statusCode });
+        (QUIET_PATHS.has(req.path) ? log.debug : log.info)('HTTP request', {
+            request_id: req.id, // 'finish' fires outside the request's logging context
+            method: req.method,
+            path: req.path,
+            route,
+            status: res.statusCode,
+            duration_ms: Date.now() - start
+        });
+    });
+    next();
 }
 
-// Middleware
-app.use(express.json());
-app.use(express.static('.'));
+// Middleware. Every request gets an id that its log entries carry (see
+// logger.js). The webhook verifies its signature over the raw body, so JSON
+// parsing must leave that one route alone.
+const jsonParser = express.json();
+const OWN_BODY_PATHS = new Set(['/webhook', '/admin/api/galaxy/import']);
+app.use(log.requestContext);
+app.use(observeRequests);
+app.use((req, res, next) => (OWN_BODY_PATHS.has(req.path) ? next() : jsonParser(req, res, next)));
+app.use(log.requestContext); // Parsing resumes outside the context; enter it again
+app.use(auth.authenticate);
+
+// Only the pages are static files. The project directory also holds the
+// SQLite database, its backups and CLI exports, which must never be served.
+const PUBLIC_FILES = new Set(['/unicorn-shop-simple.html', '/setup-instructions.html']);
+const staticFiles = express.static(__dirname);
+app.use((req, res, next) => (PUBLIC_FILES.has(req.path) ? staticFiles(req, res, next) : next()));
+
+// Liveness: the process is up and answering. Deliberately checks nothing
+// else, so a database outage does not get the server restarted in a loop.
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the database answers and a payment provider is configured.
+// 503 lists what failed, so nginx or a load balancer can stop sending shoppers.
+app.get('/readyz', async (req, res) => {
+    const checks = {
+        database: 'ok',
+        payments: payments.isConfigured() ? 'ok' : 'not_configured'
+    };
+    try {
+        await db.ping();
+    } catch (error) {
+        checks.database = 'unavailable';
+        log.error('❌ Readiness check: database unavailable', { error });
+    }
+    
+    const ready = Object.values(checks).every(check => check === 'ok');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Prometheus scrape target (see metrics.js)
+app.get('/metrics', metrics.requireMetricsToken, (req, res) => {
+    res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
 
 // Serve the main HTML file
 app.get('/', (req, res) => {
     // Check if Stripe is configured
-    if (!process.env.STRIPE_PUBLISHABLE_KEY || process.env.STRIPE_PUBLISHABLE_KEY.includes('51234567890abcdef')) {
+    if (!isShopConfigured()) {
         res.sendFile(path.join(__dirname, 'setup-instructions.html'));
     } else {
         res.sendFile(path.join(__dirname, 'unicorn-shop-simple.html'));
     }
 });
 
-// Get Stripe publishable key
-app.get('/config', (req, res) => {
-    res.send({
-        publishable_key: process.env.STRIPE_PUBLISHABLE_KEY,
-        unicorn_price: parseInt(process.env.UNICORN_PRICE) || 25,
-        currency: process.env.CURRENCY || 'usd'
+// Get the payment provider settings and the product catalog, priced in
+// ?currency= (one of CURRENCIES, the base currency by default)
+app.get('/config', validateQuery(schemas.shopConfig), async (req, res) => {
+    try {
+        const currency = req.query.currency || currencies.BASE_CURRENCY;
+        const price = amount => currencies.priceIn(amount, currency);
+        const catalog = await db.getCatalog();
+        res.send({
+            ...payments.clientConfig(),
+            unicorn_price: price(DEFAULT_UNICORN_PRICE),
+            currency: currency,
+            currencies: currencies.currencyCatalog(),
+            catalog: catalogIn(catalog, currency),
+            customization: customization.customizationCatalog(price),
+            chunk_size: spatial.CHUNK_SIZE
+        });
+    } catch (error) {
+        log.error('❌ Error fetching catalog', { error });
+        sendError(res, 500, 'Failed to fetch catalog');
+    }
+});
+
+// Storefront strings in ?locale= or the browser's language (see i18n.js),
+// with the currency to show until the visitor picks one
+app.get('/i18n', validateQuery(schemas.storefrontLocale), (req, res) => {
+    const locale = i18n.negotiateLocale(req, req.query.locale);
+    res.set('Vary', 'Accept-Language');
+    res.json({
+        locale: locale,
+        locales: i18n.localeCatalog(),
+        currency: i18n.defaultCurrency(locale, currencies.CURRENCIES, currencies.BASE_CURRENCY),
+        messages: i18n.messagesFor(locale)
     });
 });
 
-// Get all unicorns from database
+// Page through visible unicorns: ?cursor=&limit= and an optional bounding box
+// (min_x, max_x, min_y, max_y, min_z, max_z). Follow next_cursor until null.
 app.get('/unicorns', async (req, res) => {
     try {
-        const unicorns = await db.getAllUnicorns();
-        res.json(unicorns);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 1000, 1), 5000);
+        const after = spatial.decodeCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return sendError(res, 400, 'Invalid cursor');
+        }
+        
+        let box = null;
+        const bounds = ['min_x', 'max_x', 'min_y', 'max_y', 'min_z', 'max_z'];
+        if (bounds.some(key => req.query[key] !== undefined)) {
+            const values = bounds.map(key => parseFloat(req.query[key]));
+            if (values.some(Number.isNaN)) {
+                return sendError(res, 400, 'Bounding box needs all of min_x, max_x, min_y, max_y, min_z, max_z');
+            }
+            const [minX, maxX, minY, maxY, minZ, maxZ] = values;
+            box = { minX, maxX, minY, maxY, minZ, maxZ };
+        }
+        
+        const page = await db.getUnicornsPage({ after, limit, box });
+        res.json({
+            unicorns: page.unicorns.map(toPublicUnicorn),
+            next_cursor: page.nextCursor
+        });
+    } catch (error) {
+        log.error('❌ Error fetching unicorns', { error });
+        sendError(res, 500, 'Failed to fetch unicorns');
+    }
+});
+
+// Which chunks hold unicorns, so clients only request non-empty ones
+app.get('/unicorns/chunk-index', async (req, res) => {
+    try {
+        const chunks = await db.getChunkIndex();
+        res.json({ chunk_size: spatial.CHUNK_SIZE, chunks });
+    } catch (error) {
+        log.error('❌ Error fetching chunk index', { error });
+        sendError(res, 500, 'Failed to fetch chunk index');
+    }
+});
+
+// Unicorns in specific chunks: ?chunks=x,y,z;x,y,z (chunk coordinates)
+app.get('/unicorns/chunks', async (req, res) => {
+    try {
+        const chunks = spatial.parseChunkList(req.query.chunks);
+        if (!chunks) {
+            return sendError(res, 400, 'chunks must look like x,y,z;x,y,z');
+        }
+        if (chunks.length > spatial.MAX_CHUNKS_PER_REQUEST) {
+            return sendError(res, 400, `At most ${spatial.MAX_CHUNKS_PER_REQUEST} chunks per request`);
+        }
+        
+        const rows = await db.getUnicornsInChunks(chunks);
+        const grouped = {};
+        chunks.forEach(chunk => {
+            grouped[spatial.chunkKey(chunk)] = [];
+        });
+        rows.forEach(row => {
+            grouped[spatial.chunkKey({ x: row.chunk_x, y: row.chunk_y, z: row.chunk_z })].push(toPublicUnicorn(row));
+        });
+        
+        res.json({ chunk_size: spatial.CHUNK_SIZE, chunks: grouped });
+    } catch (error) {
+        log.error('❌ Error fetching unicorn chunks', { error });
+        sendError(res, 500, 'Failed to fetch unicorn chunks');
+    }
+});
+
+// Search visible unicorns by name, color, owner and date (see search.js).
+// Registered before /unicorns/:id so "search" is not taken for an id.
+app.get('/unicorns/search', validateQuery(schemas.unicornSearch), async (req, res) => {
+    try {
+        const { owner, ...filters } = req.query;
+        if (owner === 'me' && !req.user) {
+            return sendError(res, 401, 'owner=me needs a signed-in account');
+        }
+        filters.owner = ownerFilter(req);
+
+        const page = await db.searchVisibleUnicorns({ ...filters, limit: filters.limit || 20 });
+        res.json({
+            unicorns: page.rows.map(toPublicUnicorn),
+            total: page.total,
+            limit: page.limit,
+            offset: page.offset
+        });
+    } catch (error) {
+        log.error('❌ Error searching unicorns', { error });
+        sendError(res, 500, 'Failed to search unicorns');
+    }
+});
+
+// ?owner= of search and export: 'me' (the signed-in account, plus unicorns
+// ?session= bought that no account has claimed yet) or a unicorn id for its
+// whole herd; null when absent. Routes check owner=me has req.user.
+function ownerFilter(req) {
+    const { owner, session } = req.query;
+    if (owner === 'me') {
+        return { userId: req.user.id, session: session };
+    }
+    return owner ? { unicornId: owner } : null;
+}
+
+// A single visible unicorn, used by permalinks to find where to fly
+app.get('/unicorns/:id', async (req, res) => {
+    try {
+        const unicorn = await db.getVisibleUnicorn(req.params.id);
+        if (!unicorn) {
+            return sendError(res, 404, 'Unicorn not found');
+        }
+        res.json({ unicorn: toPublicUnicorn(unicorn) });
+    } catch (error) {
+        log.error('❌ Error fetching unicorn', { error });
+        sendError(res, 500, 'Failed to fetch unicorn');
+    }
+});
+
+// Permalinks: the shop page with share meta tags; the page itself reads the
+// id from the path and flies the camera to the unicorn
+app.get(['/unicorn/:id', '/u/:id'], async (req, res) => {
+    if (!isShopConfigured()) {
+        return res.sendFile(path.join(__dirname, 'setup-instructions.html'));
+    }
+    
+    try {
+        const html = await fs.promises.readFile(path.join(__dirname, 'unicorn-shop-simple.html'), 'utf8');
+        const unicorn = await db.getVisibleUnicorn(req.params.id);
+        if (!unicorn) {
+            // Still open the shop, just without a unicorn to focus on
+            return res.status(404).send(html);
+        }
+        
+        res.send(permalinks.renderPermalinkPage(html, unicorn, permalinks.publicBaseUrl(req), {
+            width: PREVIEW_WIDTH,
+            height: PREVIEW_HEIGHT
+        }));
+    } catch (error) {
+        log.error('❌ Error serving permalink', { error });
+        res.status(500).send('Failed to load unicorn');
+    }
+});
+
+// Share image for link previews, drawn on the CPU
+app.get('/unicorn/:id/preview.png', async (req, res) => {
+    try {
+        const unicorn = await db.getVisibleUnicorn(req.params.id);
+        if (!unicorn) {
+            return sendError(res, 404, 'Unicorn not found');
+        }
+        
+        const cacheKey = `${unicorn.id}:${unicorn.color_hex}`;
+        let image = previewCache.get(cacheKey);
+        if (!image) {
+            if (previewRateLimit.limit > 0) {
+                const { allowed, retryAfter } = previewRateLimit.hit(req.ip);
+                if (!allowed) {
+                    res.set('Retry-After', String(retryAfter));
+                    return sendError(res, 429, 'Too many preview images, please try again later');
+                }
+            }
+            image = renderUnicornPreview(unicorn);
+            if (previewCache.size >= PREVIEW_CACHE_SIZE) {
+                previewCache.delete(previewCache.keys().next().value);
+            }
+            previewCache.set(cacheKey, image);
+        }
+        
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type('png').send(image);
+    } catch (error) {
+        log.error('❌ Error rendering unicorn preview', { error });
+        sendError(res, 500, 'Failed to render preview');
+    }
+});
+
+// Live galaxy updates (Server-Sent Events)
+app.get('/events', liveUpdates.handler);
+
+// Sign up with email + password; optionally claims the current anonymous session
+app.post('/auth/signup', validateBody(schemas.signup), async (req, res) => {
+    try {
+        const { email, password, session_id } = req.body;
+        const normalizedEmail = auth.validateCredentials(email, password);
+        
+        if (await db.getUserByEmail(normalizedEmail)) {
+            return sendError(res, 409, 'An account with this email already exists');
+        }
+        
+        const user = await db.createUser(normalizedEmail, await auth.hashPassword(password));
+        const claim = session_id ? await db.claimSession(user.id, session_id) : { claimedUnicorns: 0 };
+        
+        auth.setSessionCookie(res, user);
+        res.status(201).json({ user, claimed_unicorns: claim.claimedUnicorns });
+    } catch (error) {
+        if (error instanceof auth.AuthError) {
+            return sendError(res, error.status, error.message);
+        }
+        log.error('❌ Error during signup', { error });
+        sendError(res, 500, 'Failed to create account');
+    }
+});
+
+// Log in; optionally claims the current anonymous session
+app.post('/auth/login', validateBody(schemas.login), async (req, res) => {
+    try {
+        const { email, password, session_id } = req.body;
+        const normalizedEmail = email.toLowerCase();
+        const account = await db.getUserByEmail(normalizedEmail);
+        
+        if (!account || !(await auth.verifyPassword(password, account.password_hash))) {
+            return sendError(res, 401, 'Invalid email or password');
+        }
+        
+        const user = { id: account.id, email: account.email };
+        const claim = session_id ? await db.claimSession(user.id, session_id) : { claimedUnicorns: 0 };
+        
+        auth.setSessionCookie(res, user);
+        res.json({ user, claimed_unicorns: claim.claimedUnicorns });
+    } catch (error) {
+        log.error('❌ Error during login', { error });
+        sendError(res, 500, 'Failed to log in');
+    }
+});
+
+app.post('/auth/logout', validateBody(schemas.empty), (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ ok: true });
+});
+
+// Current account, or null when browsing anonymously
+app.get('/auth/me', async (req, res) => {
+    try {
+        const account = req.user ? await db.getUserById(req.user.id) : null;
+        res.json({ user: req.user, is_admin: auth.isAdmin(account) });
+    } catch (error) {
+        log.error('❌ Error loading account', { error });
+        sendError(res, 500, 'Failed to load account');
+    }
+});
+
+// Attach an anonymous session's unicorns to the logged-in account
+app.post('/account/claim', auth.requireAuth, validateBody(schemas.claimSession), async (req, res) => {
+    try {
+        const claim = await db.claimSession(req.user.id, req.body.session_id);
+        res.json({ claimed_unicorns: claim.claimedUnicorns });
     } catch (error) {
-        console.error('❌ Error fetching unicorns:', error);
-        res.status(500).json({ error: 'Failed to fetch unicorns' });
+        log.error('❌ Error claiming session', { error });
+        sendError(res, 500, 'Failed to claim unicorns');
     }
 });
 
-// Get unicorns by session
-app.get('/unicorns/:sessionId', async (req, res) => {
+// Get unicorns owned by the logged-in account
+app.get('/account/unicorns', auth.requireAuth, async (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const unicorns = await db.getUnicornsBySession(sessionId);
+        const unicorns = await db.getUnicornsByUser(req.user.id);
         res.json(unicorns);
     } catch (error) {
-        console.error('❌ Error fetching user unicorns:', error);
-        res.status(500).json({ error: 'Failed to fetch user unicorns' });
+        log.error('❌ Error fetching user unicorns', { error });
+        sendError(res, 500, 'Failed to fetch user unicorns');
+    }
+});
+
+// Give one of your unicorns to another account, by its email
+app.post('/account/unicorns/:id/transfer', auth.requireAuth, validateBody(schemas.transfer), async (req, res) => {
+    try {
+        const recipient = await db.getUserByEmail(req.body.email);
+        if (!recipient) {
+            return sendError(res, 404, 'No account uses that email');
+        }
+        if (recipient.id === req.user.id) {
+            return sendError(res, 400, 'You already own this unicorn');
+        }
+        
+        const unicorn = await db.transferUnicorn({
+            unicornId: req.params.id,
+            fromUserId: req.user.id,
+            toUserId: recipient.id
+        });
+        if (!unicorn) {
+            return sendError(res, 404, 'Unicorn not found in your account');
+        }
+        
+        res.json({ unicorn: toPublicUnicorn(unicorn), to: recipient.email });
+    } catch (error) {
+        log.error('❌ Error transferring unicorn', { error });
+        sendError(res, 500, 'Failed to transfer unicorn');
+    }
+});
+
+// Gift claim links open the shop, which shows the gift and the redeem button
+app.get('/gift/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, isShopConfigured() ? 'unicorn-shop-simple.html' : 'setup-instructions.html'));
+});
+
+// What a gift link holds, without redeeming it
+app.get('/gifts/:token', async (req, res) => {
+    try {
+        const claim = await db.getGiftClaim(gifts.hashClaimToken(req.params.token));
+        if (!claim) {
+            return sendError(res, 404, 'Gift not found');
+        }
+        
+        let status = 'pending_payment';
+        if (claim.claimed_at) status = 'claimed';
+        else if (claim.unicorn_count > 0) status = 'ready';
+        else if (claim.payment_status && !['pending', 'failed'].includes(claim.payment_status)) status = 'unavailable';
+        
+        res.json({
+            status: status,
+            message: claim.message,
+            recipient_email: claim.recipient_email,
+            base_name: claim.base_name,
+            total_unicorns: claim.unicorn_count || claim.total_unicorns
+        });
+    } catch (error) {
+        log.error('❌ Error fetching gift', { error });
+        sendError(res, 500, 'Failed to fetch gift');
+    }
+});
+
+// Redeem a gift: its unicorns move to the logged-in account, once
+app.post('/gifts/:token/redeem', auth.requireAuth, validateBody(schemas.empty), async (req, res) => {
+    try {
+        const result = await db.redeemGift(gifts.hashClaimToken(req.params.token), req.user.id);
+        
+        switch (result.status) {
+            case 'not_found':
+                return sendError(res, 404, 'Gift not found');
+            case 'already_claimed':
+                return sendError(res, 409, 'This gift has already been redeemed');
+            case 'not_ready':
+                return sendError(res, 409, 'This gift is not ready yet, the payment is still being processed');
+        }
+        
+        res.json({ unicorns: result.unicorns.map(toPublicUnicorn) });
+    } catch (error) {
+        log.error('❌ Error redeeming gift', { error });
+        sendError(res, 500, 'Failed to redeem gift');
+    }
+});
+
+// Admin dashboard page (its API below checks the operator's session)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// Browse payments: ?status=&from=&to=&session=&q=&limit=&offset=
+app.get('/admin/api/payments', requireAdmin, validateQuery(schemas.adminPayments), async (req, res) => {
+    try {
+        res.json(await db.searchPayments(req.query));
+    } catch (error) {
+        log.error('❌ Error searching payments', { error });
+        sendError(res, 500, 'Failed to search payments');
+    }
+});
+
+// Browse unicorns: ?status=visible|hidden|refunded&from=&to=&session=&q=&limit=&offset=
+app.get('/admin/api/unicorns', requireAdmin, validateQuery(schemas.adminUnicorns), async (req, res) => {
+    try {
+        res.json(await db.searchUnicorns(req.query));
+    } catch (error) {
+        log.error('❌ Error searching unicorns', { error });
+        sendError(res, 500, 'Failed to search unicorns');
+    }
+});
+
+// Paid payments with something left to refund
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+// Full or partial refund through the payment provider; omit amount for a full refund
+app.post('/admin/api/payments/:paymentIntentId/refund', requireAdmin, validateBody(schemas.refund), async (req, res) => {
+    if (!payments.isConfigured()) {
+        return sendError(res, 500, 'Payments not configured');
+    }
+    
+    try {
+        const { paymentIntentId } = req.params;
+        const payment = await db.getPayment(paymentIntentId);
+        if (!payment) {
+            return sendError(res, 404, 'Payment not found');
+        }
+        
+        // Unpaid and fully refunded payments never reach the provider
+        const refundable = payment.total_amount - payment.refunded_amount;
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+            return sendError(res, 409, `Payments that are ${payment.status} cannot be refunded`);
+        }
+        if (refundable <= 0) {
+            return sendError(res, 409, 'Payment is already fully refunded');
+        }
+        const amount = req.body.amount === undefined ? refundable : req.body.amount;
+        if (amount > refundable) {
+            return sendError(res, 400, `Refund amount must be between 1 and ${refundable}`);
+        }
+        
+        const refund = await payments.createRefund({
+            paymentIntentId: paymentIntentId,
+            amount: amount,
+            metadata: { refunded_by: req.user.email }
+        });
+        
+        // The charge.refunded webhook applies the same cumulative amount again as a no-op
+        const result = await db.applyRefund({
+            paymentIntentId: paymentIntentId,
+            amountRefunded: payment.refunded_amount + amount
+        });
+        
+        if (result.refundedIds.length > 0) {
+            liveUpdates.broadcast('unicorns-removed', { ids: result.refundedIds });
+        }
+        
+        log.info('💸 Refund issued', {
+            refund_id: refund.id,
+            payment_intent_id: paymentIntentId,
+            amount: currencies.formatAmount(amount, payment.currency),
+            admin: req.user.email
+        });
+        res.json({ refund_id: refund.id, status: result.status, refunded_unicorns: result.refundedUnicorns });
+    } catch (error) {
+        log.error('❌ Error issuing refund', { error });
+        sendError(res, 502, 'The payment provider could not issue the refund');
+    }
+});
+
+// Rename or hide a unicorn
+app.patch('/admin/api/unicorns/:id', requireAdmin, validateBody(schemas.moderateUnicorn), async (req, res) => {
+    try {
+        const unicorn = await db.updateUnicorn(req.params.id, req.body);
+        if (!unicorn) {
+            return sendError(res, 404, 'Unicorn not found');
+        }
+        
+        // Viewers drop hidden unicorns and redraw renamed ones
+        if (unicorn.hidden || unicorn.refunded_at) {
+            liveUpdates.broadcast('unicorns-removed', { ids: [unicorn.id] });
+        } else {
+            liveUpdates.broadcast('unicorns-updated', [toPublicUnicorn(unicorn)]);
+        }
+        
+        log.info('🛡️ Unicorn moderated', { unicorn_id: unicorn.id, admin: req.user.email });
+        res.json(unicorn);
+    } catch (error) {
+        log.error('❌ Error moderating unicorn', { error });
+        sendError(res, 500, 'Failed to update unicorn');
+    }
+});
+
+// Ownership history of one unicorn
+app.get('/admin/api/unicorns/:id/transfers', requireAdmin, async (req, res) => {
+    try {
+        res.json(await db.getUnicornTransfers(req.params.id));
+    } catch (error) {
+        log.error('❌ Error fetching unicorn transfers', { error });
+        sendError(res, 500, 'Failed to fetch unicorn transfers');
+    }
+});
+
+// Name rules (names.js): extra blocked terms and allowed overrides
+app.get('/admin/api/name-rules', requireAdmin, async (req, res) => {
+    try {
+        res.json({ rules: await db.getNameRules() });
+    } catch (error) {
+        log.error('❌ Error fetching name rules', { error });
+        sendError(res, 500, 'Failed to fetch name rules');
+    }
+});
+
+app.post('/admin/api/name-rules', requireAdmin, validateBody(schemas.nameRule), async (req, res) => {
+    try {
+        const term = req.body.term.toLowerCase();
+        const rule = await db.setNameRule(term, req.body.action, req.user.email);
+        await refreshNameRules();
+        log.info('🛡️ Name rule set', { term, action: rule.action, admin: req.user.email });
+        res.json(rule);
+    } catch (error) {
+        log.error('❌ Error saving name rule', { error });
+        sendError(res, 500, 'Failed to save name rule');
+    }
+});
+
+app.delete('/admin/api/name-rules/:term', requireAdmin, async (req, res) => {
+    try {
+        if (!(await db.deleteNameRule(req.params.term.toLowerCase()))) {
+            return sendError(res, 404, 'Name rule not found');
+        }
+        await refreshNameRules();
+        log.info('🛡️ Name rule removed', { term: req.params.term, admin: req.user.email });
+        res.json({ ok: true });
+    } catch (error) {
+        log.error('❌ Error removing name rule', { error });
+        sendError(res, 500, 'Failed to remove name rule');
+    }
+});
+
+// Run a reconciliation pass now instead of waiting for the schedule
+app.post('/admin/api/reconcile', requireAdmin, validateBody(schemas.empty), async (req, res) => {
+    try {
+        res.json(await reconcile());
+    } catch (error) {
+        log.error('❌ Error reconciling payments', { error });
+        sendError(res, 500, 'Failed to reconcile payments');
+    }
+});
+
+// Import a galaxy snapshot exported by another shop (see snapshots.js).
+// Snapshots outgrow the default body limit, so the body is parsed here, once
+// the caller is known to be an admin.
+const IMPORT_BODY_LIMIT = '25mb';
+const LIVE_IMPORT_LIMIT = 1000; // Larger imports reach viewers through the chunk index on their next load
+
+app.post('/admin/api/galaxy/import',
+    requireAdmin,
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    log.requestContext,
+    validateBody(schemas.galaxyImport),
+    async (req, res) => {
+        try {
+            const result = await snapshots.importSnapshot({ db, placement, snapshot: req.body });
+            if (result.unicorns.length > 0) {
+                if (result.unicorns.length <= LIVE_IMPORT_LIMIT) {
+                    liveUpdates.broadcast('unicorns-added', result.unicorns.map(toPublicUnicorn));
+                }
+                await recordSpaceStats();
+            }
+            
+            log.info('📥 Galaxy snapshot imported', {
+                admin: req.user.email,
+                imported: result.unicorns.length,
+                skipped: result.skipped,
+                moved: result.moved
+            });
+            res.json({ imported: result.unicorns.length, skipped: result.skipped, moved: result.moved });
+        } catch (error) {
+            log.error('❌ Error importing galaxy snapshot', { error });
+            sendError(res, 500, 'Failed to import galaxy snapshot');
+        }
+    }
+);
+
+// Space statistics history for the dashboard chart
+app.get('/admin/api/stats/history', requireAdmin, async (req, res) => {
+    try {
+        res.json(await db.getStatsHistory(parseInt(req.query.limit) || 500));
+    } catch (error) {
+        log.error('❌ Error fetching stats history', { error });
+        sendError(res, 500, 'Failed to fetch stats history');
     }
 });
 
@@ -90,47 +777,137 @@ app.get('/stats', async (req, res) => {
         const stats = await db.getStats();
         res.json(stats);
     } catch (error) {
-        console.error('❌ Error fetching stats:', error);
-        res.status(500).json({ error: 'Failed to fetch stats' });
+        log.error('❌ Error fetching stats', { error });
+        sendError(res, 500, 'Failed to fetch stats');
+    }
+});
+
+// How the galaxy grew: visible unicorns per time bucket, for the page's
+// timeline replay. ?bucket= hour, day, month, year or auto; ?from= and ?to=
+// dates narrow the span (see history.js).
+app.get('/galaxy/history', validateQuery(schemas.galaxyHistory), async (req, res) => {
+    try {
+        res.json(await history.galaxyHistory({ db, ...req.query }));
+    } catch (error) {
+        log.error('❌ Error fetching galaxy history', { error });
+        sendError(res, 500, 'Failed to fetch galaxy history');
+    }
+});
+
+// Download the visible galaxy, or one herd with ?owner= as in search, as a
+// versioned JSON snapshot or, with ?format=gltf, a glTF scene (see snapshots.js)
+app.get('/galaxy/export', validateQuery(schemas.galaxyExport), async (req, res) => {
+    try {
+        if (req.query.owner === 'me' && !req.user) {
+            return sendError(res, 401, 'owner=me needs a signed-in account');
+        }
+        
+        const rows = await db.getSnapshotUnicorns({ owner: ownerFilter(req) });
+        const snapshot = snapshots.buildSnapshot(rows, { scope: req.query.owner ? 'owner' : 'galaxy' });
+        const asGltf = req.query.format === 'gltf';
+        res.attachment(`space-unicorns-${snapshot.scope}-${snapshot.exported_at.slice(0, 10)}.${asGltf ? 'gltf' : 'json'}`);
+        
+        if (asGltf) {
+            res.type(gltf.CONTENT_TYPE).send(JSON.stringify(gltf.buildGltf(snapshot)));
+        } else {
+            res.json(snapshot);
+        }
+    } catch (error) {
+        log.error('❌ Error exporting galaxy', { error });
+        sendError(res, 500, 'Failed to export galaxy');
     }
 });
 
-// Create payment intent
-app.post('/create-payment-intent', async (req, res) => {
-    if (!stripe) {
-        return res.status(500).json({
-            error: 'Stripe not configured. Please add your Stripe keys to the .env file.'
+// Leaderboards, computed on request: ?limit= (default 10, at most 50)
+app.get('/leaderboards/herds', validateQuery(schemas.leaderboard), async (req, res) => {
+    try {
+        const herds = await db.getLargestHerds(req.query.limit || 10);
+        res.json({
+            herds: herds.map(herd => ({
+                unicorn_count: herd.unicorn_count,
+                first_unicorn: toPublicUnicorn(herd.first_unicorn)
+            }))
         });
+    } catch (error) {
+        log.error('❌ Error fetching herd leaderboard', { error });
+        sendError(res, 500, 'Failed to fetch leaderboard');
+    }
+});
+
+app.get('/leaderboards/colors', validateQuery(schemas.leaderboard), async (req, res) => {
+    try {
+        res.json({ colors: await db.getPopularColors(req.query.limit || 10) });
+    } catch (error) {
+        log.error('❌ Error fetching color leaderboard', { error });
+        sendError(res, 500, 'Failed to fetch leaderboard');
+    }
+});
+
+app.get('/leaderboards/recent', validateQuery(schemas.leaderboard), async (req, res) => {
+    try {
+        const purchases = await db.getRecentPurchases(req.query.limit || 10);
+        res.json({
+            purchases: purchases.map(purchase => ({
+                unicorn_count: purchase.unicorn_count,
+                purchased_at: purchase.purchased_at,
+                first_unicorn: toPublicUnicorn(purchase.first_unicorn)
+            }))
+        });
+    } catch (error) {
+        log.error('❌ Error fetching recent purchases', { error });
+        sendError(res, 500, 'Failed to fetch leaderboard');
+    }
+});
+
+// Create payment intent. Rate limited, then validated: names follow the name
+// policy (names.js) and only known fields of the right shape get through.
+app.post('/create-payment-intent', paymentRateLimit, validateBody(schemas.createPaymentIntent), async (req, res) => {
+    if (!payments.isConfigured()) {
+        return sendError(res, 500, 'Stripe not configured. Please add your Stripe keys to the .env file.', { code: 'not_configured' });
     }
     
     try {
-        const { base_name, unicorn_orders, total_unicorns, total_amount, user_session } = req.body;
-        const currency = process.env.CURRENCY || 'usd';
+        const { base_name, unicorn_orders, user_session, gift } = req.body;
+        const currency = req.body.currency || currencies.BASE_CURRENCY;
         
-        // Validate the total amount server-side
-        const expectedAmount = total_unicorns * (parseInt(process.env.UNICORN_PRICE) || 25);
-        if (total_amount !== expectedAmount) {
-            return res.status(400).json({
-                error: 'Invalid amount calculation'
-            });
+        // Where the receipt goes: the address given at checkout, else the account's
+        const receiptEmail = req.body.receipt_email || (req.user ? req.user.email : null);
+        
+        // Price the order server-side from its line items and options alone
+        let quote;
+        try {
+            quote = calculateOrderTotal(await db.getCatalog(), unicorn_orders, req.body.customization, currency);
+        } catch (error) {
+            if (error instanceof PricingError) {
+                return sendError(res, 400, error.message, { code: 'invalid_order' });
+            }
+            throw error;
         }
         
-        // Create a PaymentIntent with the order amount and currency
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: total_amount, // Total amount in cents
+        const total_unicorns = quote.totalUnicorns;
+        const total_amount = quote.totalAmount;
+        const orders = quote.lineItems.map(item => ({ color: item.color, quantity: item.quantity }));
+        
+        // Create a PaymentIntent with the order amount and currency. The order
+        // lines and options stay in the payments row: Stripe caps metadata
+        // values at 500 characters, a few custom colors' worth of lines.
+        const paymentIntent = await payments.createPaymentIntent({
+            amount: total_amount, // In the currency's smallest unit
             currency: currency,
             metadata: {
                 base_name: base_name,
                 total_unicorns: total_unicorns.toString(),
-                unicorn_orders: JSON.stringify(unicorn_orders),
                 user_session: user_session,
-                product: 'space_unicorns'
-            },
-            automatic_payment_methods: {
-                enabled: true,
-            },
+                user_id: req.user ? req.user.id : '',
+                gift: gift ? 'true' : 'false',
+                product: 'space_unicorns',
+                request_id: req.id // Lets webhook logs point back at this checkout
+            }
         });
         
+        // Link for paying again if the card is declined or the tab is closed
+        const resume = recovery.createResumeToken();
+        
         // Save payment to database
         await db.savePayment({
             paymentIntentId: paymentIntent.id,
@@ -139,103 +916,440 @@ app.post('/create-payment-intent', async (req, res) => {
             totalAmount: total_amount,
             currency: currency,
             status: 'pending',
-            unicornOrders: unicorn_orders,
-            userSession: user_session
+            unicornOrders: orders,
+            userSession: user_session,
+            userId: req.user ? req.user.id : null,
+            resumeTokenHash: resume.tokenHash,
+            receiptEmail: receiptEmail,
+            customization: quote.customization
         });
+        
+        // The claim link is returned to the buyer here (and by POST
+        // /payments/:id/gift-link); the recipient is emailed one once paid
+        let giftClaimUrl = null;
+        if (gift) {
+            const { token, tokenHash } = gifts.createClaimToken();
+            await db.createGiftClaim({
+                paymentIntentId: paymentIntent.id,
+                tokenHash: tokenHash,
+                recipientEmail: gift.recipientEmail,
+                message: gift.message,
+                senderSession: user_session,
+                senderUserId: req.user ? req.user.id : null
+            });
+            giftClaimUrl = `${permalinks.publicBaseUrl(req)}/gift/${token}`;
+        }
 
-        console.log(`Payment Intent created: ${paymentIntent.id}`);
-        console.log(`  Base name: ${base_name}`);
-        console.log(`  Total unicorns: ${total_unicorns}`);
-        console.log(`  Total amount: $${(total_amount / 100).toFixed(2)}`);
-        console.log(`  Orders: ${JSON.stringify(unicorn_orders)}`);
-        console.log(`  User session: ${user_session}`);
+        log.info('🧾 Payment intent created', {
+            payment_intent_id: paymentIntent.id,
+            base_name: base_name,
+            total_unicorns: total_unicorns,
+            amount: currencies.formatAmount(total_amount, currency),
+            discount_percent: quote.discountPercent,
+            orders: orders,
+            customization: quote.customization,
+            session: user_session,
+            gift_for: gift ? gift.recipientEmail : undefined
+        });
         
         res.send({
             client_secret: paymentIntent.client_secret,
-            session_id: user_session
+            payment_intent_id: paymentIntent.id,
+            session_id: user_session,
+            total_unicorns: total_unicorns,
+            total_amount: total_amount,
+            currency: currency,
+            gift_claim_url: giftClaimUrl,
+            resume_url: `${permalinks.publicBaseUrl(req)}/resume/${resume.token}`
         });
     } catch (error) {
-        console.error('Error creating payment intent:', error);
-        res.status(500).send({
-            error: error.message
+        log.error('❌ Error creating payment intent', { error });
+        sendError(res, 500, 'Failed to create payment intent');
+    }
+});
+
+// Resume links open the shop, which then offers to pay the order again
+app.get('/resume/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, isShopConfigured() ? 'unicorn-shop-simple.html' : 'setup-instructions.html'));
+});
+
+// What a resume link is for, with the client secret while it can still be paid.
+// status: payable | processing | paid | expired
+app.get('/payments/resume/:token', async (req, res) => {
+    try {
+        const payment = await db.getPaymentByResumeToken(recovery.hashResumeToken(req.params.token));
+        if (!payment) {
+            return sendError(res, 404, 'Payment not found');
+        }
+        
+        let status = 'expired';
+        let clientSecret = null;
+        if (['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) {
+            status = 'paid';
+        } else if (['pending', 'failed'].includes(payment.status)) {
+            const intent = await payments.retrievePaymentIntent(payment.payment_intent_id);
+            if (intent && intent.status === 'succeeded') {
+                status = 'paid'; // The webhook has not caught up yet
+            } else if (intent && intent.status === 'processing') {
+                status = 'processing';
+            } else if (intent && recovery.PAYABLE_STATUSES.has(intent.status)) {
+                status = 'payable';
+                clientSecret = intent.client_secret;
+            }
+        }
+        
+        // Gifts get a fresh claim link once paid (POST .../gift-link)
+        const gift = await db.getGiftClaimByPayment(payment.payment_intent_id);
+        
+        res.json({
+            status: status,
+            payment_intent_id: payment.payment_intent_id,
+            base_name: payment.base_name,
+            total_unicorns: payment.total_unicorns,
+            total_amount: payment.total_amount,
+            currency: payment.currency,
+            unicorn_orders: JSON.parse(payment.unicorn_orders || '[]'),
+            failure_message: payment.failure_message,
+            gift_for: gift ? gift.recipient_email : null,
+            client_secret: clientSecret
         });
+    } catch (error) {
+        log.error('❌ Error fetching payment to resume', { error });
+        sendError(res, 500, 'Failed to fetch payment');
+    }
+});
+
+// Whether the request comes from the payment's buyer: the same account, or
+// the same shop session (X-Session-ID)
+function isBuyerOf(req, payment) {
+    const sessionId = req.get('X-Session-ID');
+    return Boolean(payment && (
+        (req.user && payment.user_id === req.user.id) ||
+        (sessionId && payment.user_session === sessionId)
+    ));
+}
+
+// A fresh resume link for the buyer (same account or session); the old one stops working
+app.post('/payments/:paymentIntentId/resume-link', validateBody(schemas.empty), async (req, res) => {
+    try {
+        const payment = await db.getPayment(req.params.paymentIntentId);
+        if (!isBuyerOf(req, payment)) {
+            return sendError(res, 404, 'Payment not found');
+        }
+        if (!['pending', 'failed'].includes(payment.status)) {
+            return sendError(res, 409, `Payment is ${payment.status}`);
+        }
+        
+        const resume = recovery.createResumeToken();
+        await db.setResumeToken(payment.payment_intent_id, resume.tokenHash);
+        res.json({ resume_url: `${permalinks.publicBaseUrl(req)}/resume/${resume.token}` });
+    } catch (error) {
+        log.error('❌ Error creating resume link', { error });
+        sendError(res, 500, 'Failed to create resume link');
     }
 });
 
-// Webhook endpoint for Stripe events
-app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
+// A fresh gift claim link for the buyer, who saw the first one only at
+// checkout. The buyer's previous link stops working; the emailed one does not.
+app.post('/payments/:paymentIntentId/gift-link', validateBody(schemas.empty), async (req, res) => {
+    try {
+        const payment = await db.getPayment(req.params.paymentIntentId);
+        const claim = isBuyerOf(req, payment) ? await db.getGiftClaimByPayment(payment.payment_intent_id) : null;
+        if (!claim) {
+            return sendError(res, 404, 'Gift not found');
+        }
+        
+        const { token, tokenHash } = gifts.createClaimToken();
+        if (claim.claimed_at || !(await db.setGiftToken(payment.payment_intent_id, tokenHash))) {
+            return sendError(res, 409, 'This gift has already been redeemed');
+        }
+        res.json({
+            gift_claim_url: `${permalinks.publicBaseUrl(req)}/gift/${token}`,
+            recipient_email: claim.recipient_email,
+            emailed: Boolean(claim.emailed_at)
+        });
+    } catch (error) {
+        log.error('❌ Error creating gift link', { error });
+        sendError(res, 500, 'Failed to create gift link');
+    }
+});
+
+// An order's payment status and the unicorns it minted. The page polls this
+// after checkout and only draws unicorns once they are persisted. Nothing
+// personal is returned: the payment intent id is all a caller needs.
+// ?include=unicorns adds the visible unicorns themselves.
+app.get('/orders/:paymentIntentId', async (req, res) => {
+    try {
+        const payment = await db.getPayment(req.params.paymentIntentId);
+        if (!payment) {
+            return sendError(res, 404, 'Order not found');
+        }
+        
+        const unicorns = await db.getOrderUnicorns(payment.payment_intent_id);
+        const order = {
+            payment_intent_id: payment.payment_intent_id,
+            status: payment.status,
+            fulfilled: unicorns.length > 0,
+            base_name: payment.base_name,
+            total_unicorns: payment.total_unicorns,
+            total_amount: payment.total_amount,
+            refunded_amount: payment.refunded_amount,
+            currency: payment.currency,
+            unicorn_orders: JSON.parse(payment.unicorn_orders || '[]'),
+            customization: JSON.parse(payment.customization || 'null'),
+            failure_message: payment.failure_message,
+            created_at: payment.created_at,
+            completed_at: payment.completed_at,
+            unicorn_ids: unicorns.map(unicorn => unicorn.id),
+            receipt_url: `${permalinks.publicBaseUrl(req)}/orders/${encodeURIComponent(payment.payment_intent_id)}/receipt`
+        };
+        if (req.query.include === 'unicorns') {
+            const visible = await db.getOrderUnicorns(payment.payment_intent_id, { visibleOnly: true });
+            order.unicorns = visible.map(toPublicUnicorn);
+        }
+        res.json(order);
+    } catch (error) {
+        log.error('❌ Error fetching order', { error });
+        sendError(res, 500, 'Failed to fetch order');
+    }
+});
+
+// Printable receipt
+app.get('/orders/:paymentIntentId/receipt', async (req, res) => {
+    try {
+        const payment = await db.getPayment(req.params.paymentIntentId);
+        if (!payment) {
+            return res.status(404).send('Order not found');
+        }
+        
+        const unicorns = await db.getOrderUnicorns(payment.payment_intent_id, { visibleOnly: true });
+        res.send(receipts.renderReceiptPage({ payment, unicorns, baseUrl: permalinks.publicBaseUrl(req) }));
+    } catch (error) {
+        log.error('❌ Error rendering receipt', { error });
+        res.status(500).send('Failed to load receipt');
+    }
+});
+
+// Mock provider only: the fake card form's submit, and firing
+// succeeded/failed/canceled events by hand for an intent ({ outcome, deliver }).
+// The confirm route answers errors the way Stripe.js reports them ({ error: { message } }).
+if (payments.name === 'mock') {
+    app.post('/mock-payments/confirm', async (req, res) => {
+        try {
+            const { client_secret, card } = schemas.mockConfirm(req.body, '');
+            res.json(await payments.confirmCardPayment(client_secret, card));
+        } catch (error) {
+            if (error instanceof PaymentError || error instanceof ValidationError) {
+                return res.status(error.status).json({ error: { message: error.message } });
+            }
+            log.error('❌ Error confirming mock payment', { error });
+            res.status(500).json({ error: { message: 'Failed to confirm payment' } });
+        }
+    });
+    
+    app.post('/mock-payments/:paymentIntentId/events', validateBody(schemas.mockEvent), async (req, res) => {
+        try {
+            const delivery = await payments.fireEvent(req.params.paymentIntentId, req.body.outcome, null, {
+                deliver: req.body.deliver !== false
+            });
+            res.json({ event_id: delivery.eventId, webhook_status: delivery.status });
+        } catch (error) {
+            if (error instanceof PaymentError) {
+                return sendError(res, error.status, error.message);
+            }
+            log.error('❌ Error firing mock event', { error });
+            sendError(res, 500, 'Failed to fire event');
+        }
+    });
+}
+
+// Mint a succeeded intent's unicorns: placement, one database transaction,
+// live broadcast and statistics. Shared by the webhook and reconciliation;
+// resolves to fulfillPayment's result.
+async function fulfillOrder(paymentIntent, { eventId, eventType }) {
+    const stopTimer = metrics.fulfillmentDuration.startTimer({
+        source: eventType === 'reconciliation' ? 'reconciliation' : 'webhook'
+    });
+    const baseName = paymentIntent.metadata.base_name;
+    // Lines and options come from the payments row; intents from before that
+    // carry them in metadata, and from before customization get the defaults
+    const stored = (await db.getPayment(paymentIntent.id)) || paymentIntent.metadata;
+    const unicornOrders = JSON.parse(stored.unicorn_orders || '[]');
+    const options = customization.normalizeCustomization(JSON.parse(stored.customization || 'null'));
+    const catalog = await db.getCatalog();
+    const colorHexMap = new Map(catalog.colors.map(color => [color.name, color.hex]));
+    
+    // Positions reserved for this order, released again if nothing is saved
+    let reservedPositions = [];
+    
+    // Status update and every unicorn insert commit as one transaction
+    const fulfillment = await db.fulfillPayment({
+        eventId: eventId,
+        eventType: eventType,
+        paymentIntentId: paymentIntent.id,
+        completedAt: new Date().toISOString(),
+        buildUnicorns: async (count) => {
+            await placement.sync(count, () => db.getAllPositions());
+            
+            // The whole order is placed at once so strategies can keep it together
+            const orderSize = unicornOrders.reduce((sum, order) => sum + order.quantity, 0);
+            reservedPositions = placement.place(orderSize);
+            
+            const unicorns = [];
+            let placed = 0;
+            
+            for (const order of unicornOrders) {
+                // Free body colors are line items named by their hex
+                const customHex = customization.parseHexColor(order.color);
+                const colorHex = customHex || colorHexMap.get(order.color) || '#ffffff';
+                
+                for (let i = 0; i < order.quantity; i++) {
+                    unicorns.push({
+                        name: order.quantity > 1 ? `${baseName} ${i + 1}` : baseName,
+                        colorName: customHex ? customization.CUSTOM_COLOR_NAME : order.color,
+                        colorHex: colorHex,
+                        customization: options,
+                        position: reservedPositions[placed++],
+                        initialRotation: Math.random() * Math.PI * 2,
+                        userSession: paymentIntent.metadata.user_session || 'unknown',
+                        userId: paymentIntent.metadata.user_id || null
+                    });
+                }
+            }
+            
+            return unicorns;
+        }
+    }).catch(error => {
+        placement.release(reservedPositions);
+        throw error;
+    });
+    
+    if (fulfillment.alreadyProcessed) {
+        return fulfillment;
+    }
+    
+    stopTimer();
+    const currency = paymentIntent.currency || currencies.BASE_CURRENCY;
+    metrics.unicornsSold.inc({}, fulfillment.unicorns.length);
+    metrics.revenue.inc({ currency }, paymentIntent.amount / Math.pow(10, currencies.minorUnits(currency)));
+    log.info('✅ Unicorns saved to database', { payment_intent_id: paymentIntent.id, unicorns: fulfillment.unicorns.length });
+    
+    // Every open viewer gets the persisted unicorns with their server positions
+    liveUpdates.broadcast('unicorns-added', fulfillment.unicorns.map(toPublicUnicorn));
+    
+    // Mail trouble must never fail an order that is already paid for
+    sendReceipt(paymentIntent.id).catch(error => {
+        log.error('❌ Error sending receipt', { payment_intent_id: paymentIntent.id, error });
+    });
+    sendGiftEmail(paymentIntent.id).catch(error => {
+        log.error('❌ Error sending gift email', { payment_intent_id: paymentIntent.id, error });
+    });
+    
+    await recordSpaceStats();
+    
+    return fulfillment;
+}
+
+// Save space statistics after the galaxy grew; the timeline replays them
+async function recordSpaceStats() {
+    const stats = await db.getStats();
+    await db.saveSpaceStats(stats.total_unicorns, stats.revenue, history.spaceRadius(stats.total_unicorns));
+}
+
+// Emails are sent outside any request, so their links use PUBLIC_URL
+function emailBaseUrl() {
+    return (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+}
+
+// Email a fulfilled order's receipt, if the buyer left an address
+async function sendReceipt(paymentIntentId) {
+    const payment = await db.getPayment(paymentIntentId);
+    if (!payment || !payment.receipt_email || payment.receipt_sent_at) {
+        return;
+    }
+    
+    const unicorns = await db.getOrderUnicorns(paymentIntentId, { visibleOnly: true });
+    const message = receipts.renderReceiptEmail({ payment, unicorns, baseUrl: emailBaseUrl() });
+    
+    if (await mailer.send({ to: payment.receipt_email, ...message })) {
+        await db.markReceiptSent(paymentIntentId);
+    }
+}
+
+// Email a paid gift's recipient a claim link of their own, so the gift does
+// not depend on the buyer passing on the link shown at checkout
+async function sendGiftEmail(paymentIntentId) {
+    const claim = await db.getGiftClaimByPayment(paymentIntentId);
+    if (!claim || claim.claimed_at || claim.emailed_at) {
+        return;
+    }
+    
+    const { token, tokenHash } = gifts.createClaimToken();
+    if (!(await db.setGiftEmailToken(claim.id, tokenHash))) {
+        return; // Redeemed in the meantime
+    }
+    const message = gifts.renderGiftEmail({ claim, claimUrl: `${emailBaseUrl()}/gift/${token}` });
+    
+    if (await mailer.send({ to: claim.recipient_email, ...message })) {
+        await db.markGiftEmailed(claim.id);
+    }
+}
+
+// Events whose handlers write the processed-events ledger themselves
+const TRANSACTIONAL_EVENTS = new Set(['payment_intent.succeeded', 'charge.refunded']);
+
+// Webhook endpoint for payment provider events
+app.post('/webhook', express.raw({type: 'application/json'}), log.requestContext, async (req, res) => {
     let event;
+    // Counted for /metrics once answered; each return below sets its own
+    let outcome = 'processed';
+    res.on('finish', () => {
+        metrics.webhookEvents.inc({ type: event ? event.type : 'unknown', outcome });
+    });
     
     // Verify webhook signature
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-        console.log(`✅ Webhook signature verified for event: ${event.type}`);
+        event = payments.constructEvent(req.body, req.headers);
+        log.info('✅ Webhook signature verified', { event_id: event.id, event_type: event.type });
     } catch (err) {
-        console.log(`❌ Webhook signature verification failed:`, err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        outcome = 'invalid_signature';
+        log.warn('❌ Webhook signature verification failed', { reason: err.message });
+        return sendError(res, 400, 'Webhook signature verification failed', { code: 'invalid_signature' });
+    }
+    
+    // Stripe retries and duplicate deliveries reuse the same event ID
+    try {
+        if (await db.isEventProcessed(event.id)) {
+            outcome = 'duplicate';
+            log.info('↩️ Duplicate webhook event ignored', { event_id: event.id });
+            return res.json({ received: true, duplicate: true, event_type: event.type, event_id: event.id });
+        }
+    } catch (dbError) {
+        outcome = 'error';
+        log.error('❌ Database error checking processed events', { error: dbError });
+        return sendError(res, 500, 'Failed to check event ledger');
     }
     
     // Handle different event types
     switch (event.type) {
         case 'payment_intent.succeeded':
             const paymentIntent = event.data.object;
-            const baseName = paymentIntent.metadata.base_name;
-            const totalUnicorns = parseInt(paymentIntent.metadata.total_unicorns);
-            const unicornOrders = JSON.parse(paymentIntent.metadata.unicorn_orders || '[]');
-            const amount = paymentIntent.amount;
             
-            console.log(`🦄✅ PAYMENT SUCCESS!`);
-            console.log(`   Base name: ${baseName}`);
-            console.log(`   Total unicorns: ${totalUnicorns}`);
-            console.log(`   Amount: $${(amount / 100).toFixed(2)}`);
-            console.log(`   Orders: ${JSON.stringify(unicornOrders)}`);
-            console.log(`   Payment ID: ${paymentIntent.id}`);
+            log.info('🦄✅ Payment succeeded', {
+                payment_intent_id: paymentIntent.id,
+                checkout_request_id: paymentIntent.metadata.request_id,
+                base_name: paymentIntent.metadata.base_name,
+                total_unicorns: paymentIntent.metadata.total_unicorns,
+                amount: currencies.formatAmount(paymentIntent.amount, paymentIntent.currency)
+            });
             
             try {
-                // Update payment status
-                await db.updatePaymentStatus(paymentIntent.id, 'succeeded', new Date().toISOString());
-                
-                // Create and save unicorns to database
-                const colorMap = ['Pink', 'Cyan', 'Magenta', 'Yellow', 'Green', 'Orange', 'Purple', 'Deep Pink', 'Sky Blue', 'Lime', 'Gold', 'Tomato'];
-                const colorHexMap = ['#ff69b4', '#00ffff', '#ff00ff', '#ffff00', '#00ff00', '#ff4500', '#8a2be2', '#ff1493', '#00bfff', '#32cd32', '#ffd700', '#ff6347'];
-                
-                // Get existing unicorn count for position generation
-                const existingUnicorns = await db.getAllUnicorns();
-                let unicornCounter = existingUnicorns.length;
-                
-                for (const order of unicornOrders) {
-                    const colorIndex = colorMap.indexOf(order.color);
-                    const colorHex = colorHexMap[colorIndex];
-                    
-                    for (let i = 0; i < order.quantity; i++) {
-                        // Generate unique position for each unicorn
-                        const position = generateDatabasePosition(unicornCounter);
-                        const unicornName = order.quantity > 1 ? `${baseName} ${i + 1}` : baseName;
-                        
-                        await db.saveUnicorn({
-                            name: unicornName,
-                            colorName: order.color,
-                            colorHex: colorHex,
-                            position: position,
-                            initialRotation: Math.random() * Math.PI * 2,
-                            paymentIntentId: paymentIntent.id,
-                            userSession: paymentIntent.metadata.user_session || 'unknown'
-                        });
-                        
-                        unicornCounter++;
-                    }
-                }
-                
-                console.log(`✅ ${totalUnicorns} unicorns saved to database`);
-                
-                // Save space statistics
-                const stats = await db.getStats();
-                const spaceRadius = 20 + Math.pow(stats.total_unicorns, 1/3) * 15;
-                await db.saveSpaceStats(stats.total_unicorns, stats.total_revenue, spaceRadius);
-                
+                await fulfillOrder(paymentIntent, { eventId: event.id, eventType: event.type });
             } catch (dbError) {
-                console.error('❌ Database error during payment processing:', dbError);
+                // Nothing was committed, so a non-2xx response lets Stripe retry safely
+                outcome = 'error';
+                log.error('❌ Database error during payment processing', { error: dbError });
+                return sendError(res, 500, 'Failed to fulfill payment');
             }
             
             break;
@@ -245,16 +1359,22 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
             const failedBaseName = failedPayment.metadata.base_name;
             const failedTotal = failedPayment.metadata.total_unicorns;
             
-            console.log(`🦄❌ PAYMENT FAILED!`);
-            console.log(`   Base name: ${failedBaseName}`);
-            console.log(`   Total unicorns: ${failedTotal}`);
-            console.log(`   Payment ID: ${failedPayment.id}`);
-            console.log(`   Error: ${failedPayment.last_payment_error?.message || 'Unknown error'}`);
+            log.info('🦄❌ Payment failed', {
+                payment_intent_id: failedPayment.id,
+                checkout_request_id: failedPayment.metadata.request_id,
+                base_name: failedBaseName,
+                total_unicorns: failedTotal,
+                reason: failedPayment.last_payment_error?.message || 'Unknown error'
+            });
             
-            // 🔥 HANDLE FAILURE:
-            // - Log error details
-            // - Notify user of failure
-            // - Implement retry logic
+            // The intent stays payable: the buyer can retry from the resume link
+            try {
+                await db.settlePayment(failedPayment.id, 'failed', failedPayment.last_payment_error?.message || 'Payment failed');
+            } catch (dbError) {
+                outcome = 'error';
+                log.error('❌ Database error recording payment failure', { error: dbError });
+                return sendError(res, 500, 'Failed to record payment failure');
+            }
             
             break;
             
@@ -263,20 +1383,70 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
             const canceledBaseName = canceledPayment.metadata.base_name;
             const canceledTotal = canceledPayment.metadata.total_unicorns;
             
-            console.log(`🦄🔄 PAYMENT CANCELED!`);
-            console.log(`   Base name: ${canceledBaseName}`);
-            console.log(`   Total unicorns: ${canceledTotal}`);
-            console.log(`   Payment ID: ${canceledPayment.id}`);
+            log.info('🦄🔄 Payment canceled', {
+                payment_intent_id: canceledPayment.id,
+                checkout_request_id: canceledPayment.metadata.request_id,
+                base_name: canceledBaseName,
+                total_unicorns: canceledTotal
+            });
+            
+            try {
+                await db.settlePayment(canceledPayment.id, 'canceled', canceledPayment.cancellation_reason || null);
+            } catch (dbError) {
+                outcome = 'error';
+                log.error('❌ Database error recording payment cancellation', { error: dbError });
+                return sendError(res, 500, 'Failed to record payment cancellation');
+            }
+            
+            break;
+            
+        case 'charge.refunded':
+            const refundedCharge = event.data.object;
+            
+            const chargeCurrency = refundedCharge.currency || currencies.BASE_CURRENCY;
+            log.info('🦄💸 Charge refunded', {
+                payment_intent_id: refundedCharge.payment_intent,
+                refunded: currencies.formatAmount(refundedCharge.amount_refunded, chargeCurrency),
+                amount: currencies.formatAmount(refundedCharge.amount, chargeCurrency)
+            });
+            
+            try {
+                // Refunded unicorns leave the galaxy; the ledger entry commits with them
+                const refundResult = await db.applyRefund({
+                    paymentIntentId: refundedCharge.payment_intent,
+                    amountRefunded: refundedCharge.amount_refunded,
+                    eventId: event.id,
+                    eventType: event.type
+                });
+                
+                if (refundResult.refundedIds.length > 0) {
+                    liveUpdates.broadcast('unicorns-removed', { ids: refundResult.refundedIds });
+                }
+            } catch (dbError) {
+                outcome = 'error';
+                log.error('❌ Database error during refund processing', { error: dbError });
+                return sendError(res, 500, 'Failed to apply refund');
+            }
             
             break;
             
         case 'payment_intent.created':
             const createdPayment = event.data.object;
-            console.log(`🦄🆕 Payment intent created: ${createdPayment.id}`);
+            log.info('🦄🆕 Payment intent created', { payment_intent_id: createdPayment.id });
             break;
             
         default:
-            console.log(`🤷 Unhandled event type: ${event.type}`);
+            outcome = 'ignored';
+            log.info('🤷 Unhandled event type', { event_type: event.type });
+    }
+    
+    // Fulfillment and refunds record their own ledger entry inside their transaction
+    if (!TRANSACTIONAL_EVENTS.has(event.type)) {
+        try {
+            await db.markEventProcessed(event.id, event.type, event.data.object?.id || null);
+        } catch (dbError) {
+            log.error('❌ Database error recording processed event', { error: dbError });
+        }
     }
     
     // Always respond with 200 to acknowledge receipt
@@ -287,7 +1457,66 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🦄 Space Unicorns Server running on port ${PORT}`);
-    console.log(`🌐 Open http://localhost:${PORT} to start buying unicorns!`);
+// Compare unsettled payments with the provider (see payment-recovery.js)
+const RECONCILE_INTERVAL_MINUTES = parseFloat(process.env.RECONCILE_INTERVAL_MINUTES || '15');
+let reconciling = null;
+
+function reconcile() {
+    // Scheduled and manual passes share one run instead of overlapping
+    if (!reconciling) {
+        reconciling = recovery.reconcilePayments({
+            db,
+            payments,
+            fulfill: intent => fulfillOrder(intent, { eventId: `reconcile:${intent.id}`, eventType: 'reconciliation' }),
+            graceMinutes: parseFloat(process.env.RECONCILE_GRACE_MINUTES || recovery.DEFAULT_GRACE_MINUTES),
+            expiryHours: parseFloat(process.env.PAYMENT_EXPIRY_HOURS || recovery.DEFAULT_EXPIRY_HOURS)
+        }).finally(() => {
+            reconciling = null;
+        });
+    }
+    return reconciling;
+}
+
+function scheduleReconciliation() {
+    if (!payments.isConfigured() || !(RECONCILE_INTERVAL_MINUTES > 0)) return;
+    // In PM2 cluster mode the first process reconciles for all of them
+    if (process.env.NODE_APP_INSTANCE && process.env.NODE_APP_INSTANCE !== '0') return;
+    
+    const timer = setInterval(() => {
+        log.withContext({ job: 'reconcile' }, () => reconcile())
+            .catch(error => log.error('❌ Scheduled reconciliation failed', { job: 'reconcile', error }));
+    }, RECONCILE_INTERVAL_MINUTES * 60000);
+    timer.unref();
+    log.info('🔄 Payment reconciliation scheduled', { interval_minutes: RECONCILE_INTERVAL_MINUTES });
+}
+
+// Admins may change the rules from another process; pick them up regularly
+const NAME_RULES_REFRESH_MS = 60000;
+
+async function refreshNameRules() {
+    namePolicy.setRules(await db.getNameRules());
+}
+
+function scheduleNameRulesRefresh() {
+    const timer = setInterval(() => {
+        refreshNameRules().catch(error => log.error('❌ Failed to refresh name rules', { error }));
+    }, NAME_RULES_REFRESH_MS);
+    timer.unref();
+}
+
+// Malformed JSON bodies and errors no route handled
+app.use(errorHandler);
+
+// Start serving once the database is open and migrated
+db.ready.then(async () => {
+    await refreshNameRules();
+    await liveUpdates.relay(db);
+    app.listen(PORT, () => {
+        log.info(`🦄 Space Unicorns Server running on port ${PORT}`, { port: PORT, url: `http://localhost:${PORT}` });
+        scheduleReconciliation();
+        scheduleNameRulesRefresh();
+    });
+}).catch((error) => {
+    log.error('❌ Database failed to start', { error });
+    process.exit(1);
 });
@@ -0,0 +1,111 @@
+// Galaxy snapshots: the visible unicorns of the whole galaxy or of one owner's
+// herd, as versioned JSON another shop can import, or as glTF for 3D tools
+// (see gltf.js). Snapshots hold what the public galaxy shows; owners,
+// sessions and payments stay behind.
+//
+//   { "format": "space-unicorns-snapshot", "version": 1,
+//     "exported_at": "2024-05-01T12:00:00.000Z", "scope": "galaxy", "unicorn_count": 1,
+//     "unicorns": [{ "id", "name", "color_name", "color_hex", "position": { "x", "y", "z" },
+//                    "initial_rotation", "created_at", "customization": { ... } }] }
+//
+// Imports keep ids, names, looks and purchase times, so a replayed history
+// matches the source shop. Unicorns already present (same id) are skipped;
+// positions too close to another unicorn are placed anew.
+const { customizationOf } = require('./customization.js');
+
+const SNAPSHOT_FORMAT = 'space-unicorns-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_SCOPES = ['galaxy', 'owner'];
+const EXPORT_FORMATS = ['json', 'gltf'];
+const MAX_IMPORT_UNICORNS = 20000;
+
+class SnapshotError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SnapshotError';
+        this.status = status;
+    }
+}
+
+// Older versions stay readable; newer ones come from a newer shop
+function checkVersion(version) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new SnapshotError('must be a whole number');
+    }
+    if (version > SNAPSHOT_VERSION) {
+        throw new SnapshotError(`${version} is newer than this shop reads (up to ${SNAPSHOT_VERSION})`);
+    }
+    return version;
+}
+
+function snapshotUnicorn(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        color_name: row.color_name,
+        color_hex: row.color_hex,
+        position: { x: row.position_x, y: row.position_y, z: row.position_z },
+        initial_rotation: row.initial_rotation,
+        created_at: row.created_at,
+        customization: customizationOf(row)
+    };
+}
+
+// unicorns rows → snapshot; scope says whether they are the galaxy or one herd
+function buildSnapshot(rows, { scope, exportedAt = new Date() }) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        exported_at: exportedAt.toISOString(),
+        scope: scope,
+        unicorn_count: rows.length,
+        unicorns: rows.map(snapshotUnicorn)
+    };
+}
+
+// Store a snapshot checked by schemas.galaxyImport. Resolves to the saved
+// rows, how many unicorns were already here and how many had to move.
+async function importSnapshot({ db, placement, snapshot }) {
+    // A repeated id in the file counts once
+    const byId = new Map(snapshot.unicorns.map(unicorn => [unicorn.id, unicorn]));
+    const existing = new Set((await db.getUnicornsByIds([...byId.keys()])).map(row => row.id));
+    const fresh = [...byId.values()].filter(unicorn => !existing.has(unicorn.id));
+
+    let positions = [];
+    let unicorns;
+    try {
+        unicorns = await db.importUnicorns(async (count) => {
+            await placement.sync(count, () => db.getAllPositions());
+            positions = placement.reserve(fresh.map(unicorn => unicorn.position));
+            return fresh.map((unicorn, i) => ({
+                id: unicorn.id,
+                name: unicorn.name,
+                colorName: unicorn.color_name,
+                colorHex: unicorn.color_hex,
+                position: positions[i],
+                initialRotation: unicorn.initial_rotation,
+                createdAt: unicorn.created_at,
+                customization: unicorn.customization
+            }));
+        });
+    } catch (error) {
+        placement.release(positions);
+        throw error;
+    }
+
+    const moved = fresh.filter((unicorn, i) => positions[i].x !== unicorn.position.x ||
+        positions[i].y !== unicorn.position.y || positions[i].z !== unicorn.position.z).length;
+    return { unicorns, skipped: snapshot.unicorns.length - fresh.length, moved };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    MAX_IMPORT_UNICORNS,
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_SCOPES,
+    SNAPSHOT_VERSION,
+    SnapshotError,
+    buildSnapshot,
+    checkVersion,
+    importSnapshot
+};
@@ -0,0 +1,56 @@
+// Spatial chunking of the galaxy.
+// Space is cut into cubic chunks of CHUNK_SIZE units; each unicorn row stores
+// the chunk it falls in (chunk_x/y/z) so chunk lookups hit an index.
+
+const CHUNK_SIZE = 100;
+const MAX_CHUNKS_PER_REQUEST = 64;
+
+function chunkOf(position) {
+    return {
+        x: Math.floor(position.x / CHUNK_SIZE),
+        y: Math.floor(position.y / CHUNK_SIZE),
+        z: Math.floor(position.z / CHUNK_SIZE)
+    };
+}
+
+function chunkKey(chunk) {
+    return `${chunk.x},${chunk.y},${chunk.z}`;
+}
+
+// Parse "x,y,z;x,y,z" into chunk coordinates; null if malformed
+function parseChunkList(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const chunks = [];
+    for (const part of value.split(';')) {
+        const coords = part.split(',').map(Number);
+        if (coords.length !== 3 || !coords.every(Number.isInteger)) return null;
+        chunks.push({ x: coords[0], y: coords[1], z: coords[2] });
+    }
+    return chunks;
+}
+
+// Opaque pagination cursor over the (created_at, id) ordering
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    MAX_CHUNKS_PER_REQUEST,
+    chunkOf,
+    chunkKey,
+    parseChunkList,
+    encodeCursor,
+    decodeCursor
+};
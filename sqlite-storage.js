@@ -0,0 +1,137 @@
+// SQLite storage driver: one file, one connection.
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const sqlite3 = require('sqlite3').verbose();
+const log = require('./logger.js');
+
+class SqliteStorage {
+    constructor(filename) {
+        this.dialect = 'sqlite';
+        this.filename = filename;
+        this.db = null;
+        // Serializes statements and transactions: sqlite3 shares one
+        // connection, so a statement sent while another request's BEGIN is
+        // open would join that transaction and roll back with it
+        this.queue = Promise.resolve();
+        this.openTransaction = new AsyncLocalStorage();
+        this.messages = new EventEmitter();
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.filename, (err) => {
+                if (err) {
+                    log.error('❌ Error opening database', { filename: this.filename, error: err });
+                    reject(err);
+                } else {
+                    log.info('🗄️ Connected to SQLite database', { filename: this.filename });
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Wait for the connection; statements inside the transaction that
+    // holds it run right away
+    exclusive(task) {
+        const transaction = this.openTransaction.getStore();
+        if (transaction && transaction.open) return task();
+
+        const result = this.queue.then(task);
+        // Keep the queue alive even when this task fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    run(sql, params = []) {
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        }));
+    }
+
+    get(sql, params = []) {
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        }));
+    }
+
+    all(sql, params = []) {
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        }));
+    }
+
+    // Run work() inside BEGIN/COMMIT, rolling back if it throws
+    transaction(work) {
+        // Nested calls join the transaction already open
+        const current = this.openTransaction.getStore();
+        if (current && current.open) return work();
+
+        return this.exclusive(() => {
+            // Closed once settled, so tasks work() left running queue again
+            const transaction = { open: true };
+            return this.openTransaction.run(transaction, async () => {
+                await this.run('BEGIN IMMEDIATE');
+                try {
+                    const value = await work();
+                    await this.run('COMMIT');
+                    return value;
+                } catch (err) {
+                    await this.run('ROLLBACK').catch((rollbackErr) => {
+                        log.error('❌ Error rolling back transaction', { error: rollbackErr });
+                    });
+                    throw err;
+                } finally {
+                    transaction.open = false;
+                }
+            });
+        });
+    }
+
+    // BEGIN IMMEDIATE already holds the file's write lock for the whole
+    // transaction, so there is nothing more to take
+    async lock() {}
+
+    // One server process per database file: messages stay in this process
+    async subscribe(channel, onMessage) {
+        this.messages.on(channel, onMessage);
+    }
+
+    async publish(channel, message) {
+        this.messages.emit(channel, message);
+    }
+
+    async columns(table) {
+        const rows = await this.all(`PRAGMA table_info(${table})`);
+        return rows.map(row => row.name);
+    }
+
+    // VACUUM INTO writes a consistent snapshot even while the server is running
+    async backup(target) {
+        await this.run('VACUUM INTO ?', [target]);
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.db.close((err) => {
+                if (err) {
+                    log.error('❌ Error closing database', { error: err });
+                } else {
+                    log.info('🗄️ Database connection closed');
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = SqliteStorage;
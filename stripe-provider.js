@@ -0,0 +1,71 @@
+// Stripe payment provider: PaymentIntents, webhook signatures and refunds
+// through the official client.
+
+// The placeholder keys shipped in .env
+const PLACEHOLDER_KEY = '51234567890abcdef';
+
+function isRealKey(key) {
+    return !!key && !key.includes(PLACEHOLDER_KEY);
+}
+
+class StripeProvider {
+    constructor({ secretKey, publishableKey, webhookSecret }) {
+        this.name = 'stripe';
+        this.publishableKey = publishableKey;
+        this.webhookSecret = webhookSecret;
+        this.stripe = isRealKey(secretKey) ? require('stripe')(secretKey) : null;
+    }
+
+    // Checkout needs both keys; without them pages show the setup guide
+    isConfigured() {
+        return !!this.stripe && isRealKey(this.publishableKey);
+    }
+
+    clientConfig() {
+        return { payment_provider: this.name, publishable_key: this.publishableKey };
+    }
+
+    async createPaymentIntent({ amount, currency, metadata }) {
+        const paymentIntent = await this.stripe.paymentIntents.create({
+            amount: amount, // Total amount in cents
+            currency: currency,
+            metadata: metadata,
+            automatic_payment_methods: {
+                enabled: true,
+            },
+        });
+        return { id: paymentIntent.id, client_secret: paymentIntent.client_secret };
+    }
+
+    // Current state of an intent; null if Stripe does not know it
+    async retrievePaymentIntent(paymentIntentId) {
+        try {
+            return await this.stripe.paymentIntents.retrieve(paymentIntentId);
+        } catch (error) {
+            if (error.code === 'resource_missing') return null;
+            throw error;
+        }
+    }
+
+    async cancelPaymentIntent(paymentIntentId) {
+        return this.stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: 'abandoned' });
+    }
+
+    async createRefund({ paymentIntentId, amount, metadata }) {
+        return this.stripe.refunds.create({
+            payment_intent: paymentIntentId,
+            amount: amount,
+            metadata: metadata
+        });
+    }
+
+    // Throws unless the body was signed with the endpoint's webhook secret
+    constructEvent(rawBody, headers) {
+        return this.stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+    }
+}
+
+module.exports = {
+    StripeProvider,
+    isRealKey
+};
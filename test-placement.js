@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// Placement service tests: the spatial index and every strategy, run with a
+// seeded random function so each run places the same unicorns. No database
+// or server needed.
+const assert = require('assert');
+const { DEFAULT_MIN_DISTANCE, STRATEGIES, PlacementError, PlacementService, SpatialGrid } = require('./placement.js');
+
+// mulberry32: small, fast and good enough to spread unicorns
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Every pair at least minDistance apart
+function assertSpaced(positions, minDistance = DEFAULT_MIN_DISTANCE) {
+    for (let i = 0; i < positions.length; i++) {
+        for (let j = i + 1; j < positions.length; j++) {
+            const gap = distance(positions[i], positions[j]);
+            assert.ok(gap >= minDistance, `positions ${i} and ${j} are ${gap.toFixed(2)} apart`);
+        }
+    }
+}
+
+// A cube of unicorns exactly minDistance apart, centred on the origin
+function crowd(halfWidth, step = DEFAULT_MIN_DISTANCE) {
+    const positions = [];
+    for (let x = -halfWidth; x <= halfWidth; x += step) {
+        for (let y = -halfWidth; y <= halfWidth; y += step) {
+            for (let z = -halfWidth; z <= halfWidth; z += step) {
+                positions.push({ x, y, z });
+            }
+        }
+    }
+    return positions;
+}
+
+const tests = {
+    'the grid finds neighbours across cell borders'() {
+        const grid = new SpatialGrid(6);
+        grid.add({ x: 5.9, y: 0, z: 0 });
+        assert.strictEqual(grid.size, 1);
+
+        // Different cells, still too close
+        assert.strictEqual(grid.isFree({ x: 6.1, y: 0, z: 0 }, 6), false);
+        assert.strictEqual(grid.isFree({ x: 3, y: -4, z: 0 }, 6), false);
+        assert.strictEqual(grid.isFree({ x: 11.9, y: 0, z: 0 }, 6), true);
+        assert.strictEqual(grid.isFree({ x: 5.9, y: 6, z: 0 }, 6), true);
+        assert.strictEqual(grid.isFree({ x: 1, y: -2, z: -2 }, 6), false);
+
+        assert.strictEqual(grid.remove({ x: 5.9, y: 0, z: 0 }), true);
+        assert.strictEqual(grid.remove({ x: 5.9, y: 0, z: 0 }), false);
+        assert.strictEqual(grid.size, 0);
+        assert.strictEqual(grid.isFree({ x: 6.1, y: 0, z: 0 }, 6), true);
+    },
+
+    'every strategy keeps minDistance, between orders and within them'() {
+        for (const strategy of Object.keys(STRATEGIES)) {
+            const placement = new PlacementService({ strategy, random: seededRandom(7) });
+            const placed = [];
+            for (let order = 0; order < 20; order++) {
+                placed.push(...placement.place(10));
+            }
+            assert.strictEqual(placed.length, 200, strategy);
+            assert.strictEqual(placement.size, 200, strategy);
+            assertSpaced(placed);
+        }
+    },
+
+    'the same seed places the same unicorns'() {
+        for (const strategy of Object.keys(STRATEGIES)) {
+            const first = new PlacementService({ strategy, random: seededRandom(42) }).place(25);
+            const second = new PlacementService({ strategy, random: seededRandom(42) }).place(25);
+            assert.deepStrictEqual(first, second, strategy);
+        }
+    },
+
+    'clusters keep an order together and spirals stay flat'() {
+        const cluster = new PlacementService({ strategy: 'cluster', random: seededRandom(3) });
+        cluster.place(30); // Other orders first
+        const order = cluster.place(12);
+        for (const position of order.slice(1)) {
+            // Within the widest ring the cluster searches before it widens
+            assert.ok(distance(position, order[0]) < DEFAULT_MIN_DISTANCE * 8, 'cluster member strayed from its anchor');
+        }
+
+        const spiral = new PlacementService({ strategy: 'spiral', random: seededRandom(3) });
+        const disc = spiral.place(150);
+        const height = Math.max(...disc.map(position => Math.abs(position.y)));
+        const width = Math.max(...disc.map(position => Math.hypot(position.x, position.z)));
+        assert.ok(height < width / 5, `spiral is ${height.toFixed(1)} high and ${width.toFixed(1)} wide`);
+    },
+
+    'a full region pushes new unicorns further out'() {
+        const occupied = crowd(48);
+        for (const strategy of Object.keys(STRATEGIES)) {
+            const placement = new PlacementService({ strategy, random: seededRandom(11) });
+            placement.rebuild(occupied);
+            const placed = placement.place(20);
+
+            assert.strictEqual(placement.size, occupied.length + 20, strategy);
+            assertSpaced(placed);
+            for (const position of placed) {
+                assert.ok(occupied.every(other => distance(position, other) >= DEFAULT_MIN_DISTANCE), `${strategy} placed inside the crowd`);
+            }
+        }
+    },
+
+    'a random source stuck on one value still finds room'() {
+        // Every try in a ring lands on the same spot; only widening helps
+        for (const strategy of Object.keys(STRATEGIES)) {
+            const placement = new PlacementService({ strategy, random: () => 0.5 });
+            const placed = placement.place(8);
+            assertSpaced(placed);
+        }
+    },
+
+    'imports keep their positions where they fit'() {
+        const placement = new PlacementService({ random: seededRandom(5) });
+        placement.rebuild([{ x: 0, y: 0, z: 0 }]);
+
+        const wanted = [{ x: 100, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 103, y: 0, z: 0 }];
+        const reserved = placement.reserve(wanted);
+        assert.deepStrictEqual(reserved[0], wanted[0]);
+        assert.notDeepStrictEqual(reserved[1], wanted[1]); // Too close to the unicorn at the origin
+        assert.notDeepStrictEqual(reserved[2], wanted[2]); // Too close to the first import
+        assertSpaced([{ x: 0, y: 0, z: 0 }, ...reserved]);
+        assert.strictEqual(placement.size, 4);
+
+        // Released when the import is not saved after all
+        placement.release(reserved);
+        assert.strictEqual(placement.size, 1);
+        assert.strictEqual(placement.isFree(wanted[0]), true);
+    },
+
+    async 'reloads the index only when the stored count differs'() {
+        const placement = new PlacementService({ random: seededRandom(9) });
+        const stored = [{ x: 0, y: 0, z: 0 }];
+        let loads = 0;
+        const load = async () => {
+            loads++;
+            return stored;
+        };
+
+        await placement.sync(1, load);
+        placement.place(1); // Saved by this process, as the count will show
+        stored.push({ x: 50, y: 0, z: 0 });
+        await placement.sync(2, load);
+        assert.strictEqual(loads, 1);
+
+        // Another process saved one here
+        stored.push({ x: 0, y: 30, z: 0 });
+        await placement.sync(3, load);
+        assert.strictEqual(loads, 2);
+        assert.strictEqual(placement.isFree({ x: 0, y: 31, z: 0 }), false);
+    },
+
+    'rejects unknown strategies'() {
+        assert.throws(() => new PlacementService({ strategy: 'teleport' }), PlacementError);
+        assert.throws(() => new PlacementService().place(1, { strategy: 'teleport' }), PlacementError);
+    }
+};
+
+async function main() {
+    console.log('🧪 Placement');
+    let failures = 0;
+
+    for (const [title, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`  ✅ ${title}`);
+        } catch (error) {
+            failures++;
+            console.log(`  ❌ ${title}\n     ${error.stack.split('\n').slice(0, 3).join('\n     ')}`);
+        }
+    }
+
+    console.log(failures === 0 ? '\n🎉 All placement tests passed' : `\n💥 ${failures} placement tests failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,1019 @@
+#!/usr/bin/env node
+// End-to-end checkout tests against the mock payment provider: starts the
+// server with PAYMENT_PROVIDER=mock on a temporary SQLite file, buys unicorns
+// through the fake card form endpoint and checks what the signed webhook
+// events did to the galaxy. Receipt emails go to a local SMTP sink; admin
+// rights are granted with the database CLI, as an operator would.
+// No Stripe account, mail server or network needed.
+const assert = require('assert');
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseCurrencyList } = require('./currencies.js');
+const { SIGNATURE_HEADER, signatureHeader } = require('./mock-provider.js');
+const { renderPermalinkPage } = require('./permalinks.js');
+const { chunkOf } = require('./spatial.js');
+
+const PORT = 4100 + Math.floor(Math.random() * 800);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'unicorns-webhooks-'));
+const DATABASE_URL = `sqlite:${path.join(DATA_DIR, 'unicorns.db')}`;
+const WEBHOOK_SECRET = 'whsec_test_webhooks';
+const EXPIRY = `12/${String(new Date().getFullYear() + 2).slice(-2)}`;
+
+// Just enough SMTP to accept messages; each one is kept as { to, data }
+function startSmtpSink() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let message = null;
+        let inData = false;
+        socket.write('220 sink ESMTP\r\n');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(message);
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        message.data += `${line.replace(/^\./, '')}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 sink\r\n');
+                } else if (command === 'MAIL') {
+                    message = { to: [], data: '' };
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.match(/<([^>]*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+    });
+}
+
+function startServer(smtpPort) {
+    const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            PAYMENT_PROVIDER: 'mock',
+            MOCK_WEBHOOK_SECRET: WEBHOOK_SECRET,
+            DATABASE_URL,
+            NODE_ENV: 'test',
+            RECONCILE_GRACE_MINUTES: '0',
+            PAYMENT_EXPIRY_HOURS: '0.0001',
+            SMTP_URL: `smtp://127.0.0.1:${smtpPort}`,
+            MAIL_FROM: 'Space Unicorns <shop@example.com>',
+            PUBLIC_URL: 'https://unicorns.example.com',
+            PAYMENT_RATE_LIMIT_IP: '1000', // Every test request comes from 127.0.0.1
+            PAYMENT_RATE_LIMIT_SESSION: '40',
+            PREVIEW_RATE_LIMIT_IP: '3',
+            NAME_BLOCKLIST: 'grumpy'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const ready = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        server.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.stderr.on('data', (chunk) => { output += chunk; });
+        server.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+    return { server, ready };
+}
+
+// database-manager.js on the server's database; resolves to its output
+function manageDatabase(...args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, 'database-manager.js'), ...args], {
+            cwd: DATA_DIR,
+            env: { ...process.env, DATABASE_URL, NODE_ENV: 'test' }
+        }, (error, stdout, stderr) => {
+            if (error) reject(new Error(`${error.message}\n${stdout}${stderr}`));
+            else resolve(stdout);
+        });
+    });
+}
+
+async function request(method, url, body, headers = {}) {
+    const response = await fetch(`${BASE_URL}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    const responseHeaders = response.headers;
+    let data = text;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Plain text responses, e.g. webhook errors
+    }
+    return { status: response.status, data, headers: responseHeaders };
+}
+
+// Listens on /events while trigger() runs; resolves to the data of the
+// first event of that type
+async function nextLiveEvent(type, trigger) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    try {
+        const response = await fetch(`${BASE_URL}/events`, { signal: controller.signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        await trigger();
+
+        let text = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error(`The stream ended before ${type}`);
+            text += decoder.decode(value, { stream: true });
+            const match = text.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+            if (match) return JSON.parse(match[1]);
+        }
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+}
+
+async function createOrder(color, quantity, baseName = 'Mocky', extra = {}) {
+    const order = await request('POST', '/create-payment-intent', {
+        base_name: baseName,
+        unicorn_orders: [{ color, quantity }],
+        user_session: 'session-mock-test',
+        ...extra
+    });
+    assert.strictEqual(order.status, 200, JSON.stringify(order.data));
+    return order.data;
+}
+
+function intentIdOf(order) {
+    return order.client_secret.split('_secret_')[0];
+}
+
+function tokenOf(resumeUrl) {
+    return resumeUrl.split('/resume/')[1];
+}
+
+// Emails are sent in the background once the webhook has fulfilled the order
+async function waitForEmail(context, to) {
+    for (let i = 0; i < 50; i++) {
+        const email = context.mail.find(message => message.to.includes(to));
+        if (email) return email;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`No email was sent to ${to}`);
+}
+
+async function countUnicorns() {
+    const page = await request('GET', '/unicorns?limit=5000');
+    return page.data.unicorns.length;
+}
+
+const tests = {
+    async 'serves the shop with the mock provider'(context) {
+        const config = await request('GET', '/config');
+        assert.strictEqual(config.data.payment_provider, 'mock');
+        assert.ok(config.data.test_cards.includes('4242424242424242'));
+        context.color = config.data.catalog.colors[0].name;
+
+        const page = await request('GET', '/');
+        assert.match(page.data, /<canvas|unicorn-shop|Space Unicorns/i);
+        assert.doesNotMatch(page.data, /Edit \.env File/);
+        assert.match(page.data, /id="galaxyList" role="listbox"/); // The view without WebGL
+    },
+
+    async 'a test card payment puts the unicorns in the galaxy'(context) {
+        const order = await createOrder(context.color, 3);
+        const result = await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242 4242 4242 4242', expiry: EXPIRY, cvc: '123' }
+        });
+
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.data.paymentIntent.status, 'succeeded');
+        assert.strictEqual(result.data.webhookStatus, 200);
+        assert.strictEqual(await countUnicorns(), 3);
+
+        const again = await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual(again.status, 409);
+        assert.strictEqual(await countUnicorns(), 3);
+    },
+
+    async 'declined and incomplete cards mint nothing'(context) {
+        const order = await createOrder(context.color, 2);
+
+        const incomplete = await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242 4242 4242 4241', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual(incomplete.data.error.code, 'incorrect_number');
+
+        const declined = await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4000000000000002', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual(declined.data.error.code, 'card_declined');
+        assert.strictEqual(declined.data.webhookStatus, 200);
+        assert.strictEqual(await countUnicorns(), 3);
+    },
+
+    async 'fires signed events by hand'(context) {
+        const order = await createOrder(context.color, 1, 'Manual');
+        const paymentIntentId = intentIdOf(order);
+
+        const canceled = await request('POST', `/mock-payments/${paymentIntentId}/events`, { outcome: 'canceled' });
+        assert.strictEqual(canceled.data.webhook_status, 200);
+
+        const added = await nextLiveEvent('unicorns-added', async () => {
+            const succeeded = await request('POST', `/mock-payments/${paymentIntentId}/events`, { outcome: 'succeeded' });
+            assert.strictEqual(succeeded.data.webhook_status, 200);
+        });
+        assert.strictEqual(await countUnicorns(), 4);
+
+        // Viewers see the unicorn, not the order id that GET /orders/:id takes
+        assert.match(added[0].name, /^Manual/);
+        for (const field of ['payment_intent_id', 'user_session', 'user_id']) {
+            assert.ok(!(field in added[0]), `${field} must not be broadcast`);
+        }
+        const listed = (await request('GET', '/unicorns?limit=5000')).data.unicorns;
+        assert.ok(listed.every(unicorn => !('payment_intent_id' in unicorn)));
+
+        const unknown = await request('POST', `/mock-payments/${paymentIntentId}/events`, { outcome: 'exploded' });
+        assert.strictEqual(unknown.status, 400);
+        const missing = await request('POST', '/mock-payments/pi_mock_missing/events', { outcome: 'succeeded' });
+        assert.strictEqual(missing.status, 404);
+    },
+
+    async 'fulfills an order once, however often its events arrive'(context) {
+        const order = await createOrder(context.color, 2, 'Twice');
+        const paymentIntentId = intentIdOf(order);
+        const before = await countUnicorns();
+
+        // Signed like the provider's own deliveries
+        const deliver = (eventId) => {
+            const payload = JSON.stringify({
+                id: eventId,
+                object: 'event',
+                type: 'payment_intent.succeeded',
+                created: Math.floor(Date.now() / 1000),
+                data: { object: {
+                    id: paymentIntentId, object: 'payment_intent', status: 'succeeded',
+                    amount: order.total_amount, currency: order.currency,
+                    metadata: {
+                        base_name: 'Twice', total_unicorns: '2', user_session: 'session-mock-test'
+                    }
+                } }
+            });
+            return request('POST', '/webhook', payload, { [SIGNATURE_HEADER]: signatureHeader(payload, WEBHOOK_SECRET) });
+        };
+
+        const first = await deliver('evt_twice_1');
+        assert.strictEqual(first.status, 200, JSON.stringify(first.data));
+        assert.strictEqual(await countUnicorns(), before + 2);
+
+        const redelivered = await deliver('evt_twice_1');
+        assert.strictEqual(redelivered.data.duplicate, true);
+        const another = await deliver('evt_twice_2');
+        assert.strictEqual(another.status, 200);
+        assert.strictEqual(await countUnicorns(), before + 2);
+
+        const status = await request('GET', `/orders/${paymentIntentId}?include=unicorns`);
+        assert.strictEqual(status.data.status, 'succeeded');
+        assert.deepStrictEqual(status.data.unicorns.map(unicorn => unicorn.name).sort(), ['Twice 1', 'Twice 2']);
+    },
+
+    async 'a declined order can be paid from its resume link'(context) {
+        const order = await createOrder(context.color, 2, 'Retry');
+        const declined = await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4000000000009995', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual(declined.data.error.code, 'insufficient_funds');
+
+        const resume = await request('GET', `/payments/resume/${tokenOf(order.resume_url)}`);
+        assert.strictEqual(resume.data.status, 'payable');
+        assert.strictEqual(resume.data.failure_message, 'Your card has insufficient funds.');
+        assert.deepStrictEqual(resume.data.unicorn_orders, [{ color: context.color, quantity: 2 }]);
+
+        const before = await countUnicorns();
+        const paid = await request('POST', '/mock-payments/confirm', {
+            client_secret: resume.data.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual(paid.data.paymentIntent.status, 'succeeded');
+        assert.strictEqual(await countUnicorns(), before + 2);
+        assert.strictEqual((await request('GET', `/payments/resume/${tokenOf(order.resume_url)}`)).data.status, 'paid');
+
+        const stranger = await request('POST', `/payments/${intentIdOf(order)}/resume-link`, {}, { 'X-Session-ID': 'someone-else' });
+        assert.strictEqual(stranger.status, 404);
+        const settled = await request('POST', `/payments/${intentIdOf(order)}/resume-link`, {}, { 'X-Session-ID': 'session-mock-test' });
+        assert.strictEqual(settled.status, 409);
+    },
+
+    async 'signs up, logs in and ignores tampered or malformed cookies'() {
+        const signup = await request('POST', '/auth/signup', { email: ' Rider@Example.com ', password: 'correct horse battery' });
+        assert.strictEqual(signup.status, 201, JSON.stringify(signup.data));
+        assert.strictEqual(signup.data.user.email, 'rider@example.com');
+        assert.match(signup.headers.get('set-cookie'), /HttpOnly/i);
+        assert.strictEqual((await request('POST', '/auth/signup', { email: 'rider@example.com', password: 'another horse' })).status, 409);
+        assert.strictEqual((await request('POST', '/auth/signup', { email: 'short@example.com', password: 'short' })).status, 400);
+
+        assert.strictEqual((await request('POST', '/auth/login', { email: 'rider@example.com', password: 'wrong horse battery' })).status, 401);
+        const login = await request('POST', '/auth/login', { email: 'rider@example.com', password: 'correct horse battery' });
+        assert.strictEqual(login.status, 200);
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+        assert.strictEqual((await request('GET', '/auth/me', undefined, { Cookie: cookie })).data.user.email, 'rider@example.com');
+        assert.strictEqual((await request('GET', '/account/unicorns', undefined, { Cookie: cookie })).status, 200);
+
+        // A payload edited to another account no longer matches its signature
+        const [name, token] = cookie.split('=');
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), email: 'admin@example.com' })).toString('base64url');
+        const tampered = await request('GET', '/auth/me', undefined, { Cookie: `${name}=${forged}.${signature}` });
+        assert.strictEqual(tampered.data.user, null);
+        assert.strictEqual((await request('GET', '/account/unicorns', undefined, { Cookie: `${name}=${forged}.${signature}` })).status, 401);
+
+        // A broken cookie from elsewhere is skipped, not a server error
+        const malformed = { Cookie: `other=%E0%A4%A; ${cookie}` };
+        assert.strictEqual((await request('GET', '/auth/me', undefined, malformed)).data.user.email, 'rider@example.com');
+        assert.strictEqual((await request('GET', '/', undefined, malformed)).status, 200);
+    },
+
+    async 'only accounts granted by the operator reach the admin API'(context) {
+        assert.strictEqual((await request('GET', '/admin/api/payments')).status, 401);
+
+        // Signing up with the operator's address grants nothing
+        const signup = await request('POST', '/auth/signup', { email: 'admin@example.com', password: 'correct horse battery' });
+        assert.strictEqual(signup.status, 201, JSON.stringify(signup.data));
+        const cookie = { Cookie: signup.headers.get('set-cookie').split(';')[0] };
+        assert.strictEqual((await request('GET', '/auth/me', undefined, cookie)).data.is_admin, false);
+        assert.strictEqual((await request('GET', '/admin/api/payments', undefined, cookie)).status, 403);
+        assert.strictEqual((await request('POST', '/admin/api/reconcile', undefined, cookie)).status, 403);
+
+        assert.match(await manageDatabase('admin', 'grant', 'Admin@Example.com'), /admin@example\.com is now an admin/);
+        assert.strictEqual((await request('GET', '/auth/me', undefined, cookie)).data.is_admin, true);
+        assert.strictEqual((await request('GET', '/admin/api/payments', undefined, cookie)).status, 200);
+        assert.match(await manageDatabase('admin', 'list'), /admin@example\.com/);
+        await assert.rejects(manageDatabase('admin', 'grant', 'nobody@example.com'), /No account uses nobody@example\.com/);
+
+        // Revoking applies to the session already open
+        await manageDatabase('admin', 'revoke', 'admin@example.com');
+        assert.strictEqual((await request('GET', '/admin/api/payments', undefined, cookie)).status, 403);
+        await manageDatabase('admin', 'grant', 'admin@example.com');
+
+        // Filters are validated; a repeated parameter is not a SQL parameter
+        assert.strictEqual((await request('GET', '/admin/api/payments?status=succeeded&limit=5', undefined, cookie)).status, 200);
+        for (const query of ['payments?status=succeeded&status=failed', 'payments?limit=lots', 'unicorns?q=a&q=b', 'unicorns?status=gone']) {
+            const filtered = await request('GET', `/admin/api/${query}`, undefined, cookie);
+            assert.strictEqual(filtered.status, 400, query);
+        }
+
+        // Only paid payments with something left are sent to the provider
+        const buy = () => request('POST', '/create-payment-intent', {
+            base_name: 'Refundable', unicorn_orders: [{ color: context.color, quantity: 1 }], user_session: 'session-refunds'
+        });
+        const refund = (order, body = {}) => request('POST', `/admin/api/payments/${order.data.payment_intent_id}/refund`, body, cookie);
+        const unpaid = await buy();
+        assert.strictEqual((await refund(unpaid)).status, 409);
+
+        const paid = await buy();
+        await request('POST', '/mock-payments/confirm', {
+            client_secret: paid.data.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        assert.strictEqual((await refund(paid, { amount: paid.data.total_amount + 1 })).status, 400);
+        const full = await refund(paid);
+        assert.strictEqual(full.status, 200, JSON.stringify(full.data));
+        assert.strictEqual(full.data.status, 'refunded');
+        assert.strictEqual((await refund(paid)).status, 409);
+    },
+
+    async 'reconciliation fulfills lost successes and expires abandoned orders'(context) {
+        const login = await request('POST', '/auth/login', { email: 'admin@example.com', password: 'correct horse battery' });
+        const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+
+        const lost = await createOrder(context.color, 2, 'Lost');
+        const withheld = await request('POST', `/mock-payments/${intentIdOf(lost)}/events`, { outcome: 'succeeded', deliver: false });
+        assert.strictEqual(withheld.data.webhook_status, null);
+        const abandoned = await createOrder(context.color, 1, 'Abandoned');
+
+        const before = await countUnicorns();
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Past the expiry window
+        const summary = await request('POST', '/admin/api/reconcile', undefined, cookie);
+        assert.strictEqual(summary.status, 200, JSON.stringify(summary.data));
+        assert.strictEqual(summary.data.fulfilled, 1);
+        assert.ok(summary.data.expired >= 1); // Unpaid orders from earlier tests expire too
+        assert.strictEqual(summary.data.errors, 0);
+        assert.strictEqual(await countUnicorns(), before + 2);
+
+        const expired = await request('GET', `/payments/resume/${tokenOf(abandoned.resume_url)}`);
+        assert.strictEqual(expired.data.status, 'expired');
+
+        // A second pass has nothing left to do
+        const again = await request('POST', '/admin/api/reconcile', undefined, cookie);
+        assert.strictEqual(again.data.checked, 0);
+    },
+
+    async 'order status, receipt page and receipt email'(context) {
+        const order = await createOrder(context.color, 2, 'Receipted', { receipt_email: ' Buyer@Example.com ' });
+        const orderUrl = `/orders/${order.payment_intent_id}`;
+
+        const pending = await request('GET', orderUrl);
+        assert.strictEqual(pending.data.status, 'pending');
+        assert.strictEqual(pending.data.fulfilled, false);
+        assert.deepStrictEqual(pending.data.unicorn_ids, []);
+
+        await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+
+        const paid = await request('GET', orderUrl);
+        assert.strictEqual(paid.data.status, 'succeeded');
+        assert.strictEqual(paid.data.fulfilled, true);
+        assert.strictEqual(paid.data.unicorn_ids.length, 2);
+        assert.strictEqual(paid.data.unicorns, undefined);
+        for (const field of ['receipt_email', 'user_session', 'user_id', 'resume_token_hash']) {
+            assert.ok(!(field in paid.data), `${field} must not be exposed`);
+        }
+
+        const withUnicorns = await request('GET', `${orderUrl}?include=unicorns`);
+        assert.deepStrictEqual(withUnicorns.data.unicorns.map(unicorn => unicorn.id).sort(), [...paid.data.unicorn_ids].sort());
+
+        const receipt = await request('GET', `${orderUrl}/receipt`);
+        assert.strictEqual(receipt.status, 200);
+        assert.match(receipt.data, /Receipted 1/);
+        assert.match(receipt.data, /window\.print\(\)/);
+
+        const email = await waitForEmail(context, 'buyer@example.com');
+        assert.match(email.data, /Subject: Your Space Unicorns receipt: Receipted/);
+        assert.match(email.data, new RegExp(`https://unicorns\\.example\\.com/orders/${order.payment_intent_id}/receipt`));
+
+        const invalid = await request('POST', '/create-payment-intent', {
+            base_name: 'Nope',
+            unicorn_orders: [{ color: context.color, quantity: 1 }],
+            user_session: 'session-mock-test',
+            receipt_email: 'not-an-email'
+        });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await request('GET', '/orders/pi_mock_missing')).status, 404);
+        assert.strictEqual((await request('GET', '/orders/pi_mock_missing/receipt')).status, 404);
+    },
+
+    async 'emails gifts to the recipient, who redeems them with an account'(context) {
+        const buyer = { 'X-Session-ID': 'session-gift' };
+        const order = await createOrder(context.color, 2, 'Present', {
+            user_session: 'session-gift',
+            gift: { recipient_email: 'Friend@Example.com', message: 'Happy birthday' }
+        });
+        const giftLink = `/payments/${order.payment_intent_id}/gift-link`;
+        const tokenOfGift = url => url.split('/gift/')[1];
+
+        // The buyer can get the link again, e.g. after closing the tab; the old one stops working
+        assert.strictEqual((await request('POST', giftLink, {}, { 'X-Session-ID': 'someone-else' })).status, 404);
+        const again = await request('POST', giftLink, {}, buyer);
+        assert.strictEqual(again.status, 200);
+        assert.strictEqual(again.data.recipient_email, 'friend@example.com');
+        assert.strictEqual((await request('GET', `/gifts/${tokenOfGift(order.gift_claim_url)}`)).status, 404);
+        const pending = await request('GET', `/gifts/${tokenOfGift(again.data.gift_claim_url)}`);
+        assert.strictEqual(pending.data.status, 'pending_payment');
+        assert.strictEqual((await request('GET', `/payments/resume/${tokenOf(order.resume_url)}`)).data.gift_for, 'friend@example.com');
+
+        await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        const email = await waitForEmail(context, 'friend@example.com');
+        assert.match(email.data, /Subject: .*gift for you/);
+        assert.match(email.data, /Happy birthday/);
+        const emailed = email.data.match(/https:\/\/unicorns\.example\.com\/gift\/([\w-]+)/)[1];
+
+        const ready = await request('GET', `/gifts/${emailed}`);
+        assert.deepStrictEqual([ready.data.status, ready.data.total_unicorns, ready.data.message], ['ready', 2, 'Happy birthday']);
+        assert.strictEqual((await request('POST', `/gifts/${emailed}/redeem`)).status, 401);
+
+        const signup = await request('POST', '/auth/signup', { email: 'friend@example.com', password: 'correct horse battery' });
+        const friend = { Cookie: signup.headers.get('set-cookie').split(';')[0] };
+        const redeemed = await request('POST', `/gifts/${emailed}/redeem`, undefined, friend);
+        assert.strictEqual(redeemed.status, 200, JSON.stringify(redeemed.data));
+        assert.strictEqual(redeemed.data.unicorns.length, 2);
+        assert.strictEqual((await request('GET', '/account/unicorns', undefined, friend)).data.length, 2);
+
+        // Either link redeems the gift once
+        const late = await request('POST', `/gifts/${tokenOfGift(again.data.gift_claim_url)}/redeem`, undefined, friend);
+        assert.strictEqual(late.status, 409);
+        assert.strictEqual((await request('GET', `/gifts/${emailed}`)).data.status, 'claimed');
+        assert.strictEqual((await request('POST', giftLink, {}, buyer)).status, 409);
+    },
+
+    async 'customized unicorns are priced by the server and stored on every unicorn'(context) {
+        const config = (await request('GET', '/config')).data;
+        const { options, accessories, custom_color_price: customColorPrice } = config.customization;
+        const style = {
+            horn_style: 'crystal',
+            horn_hex: '#00FF00',
+            wing_style: 'bat',
+            accessories: ['glasses', 'crown'],
+            size: 'giant',
+            effect: 'glow'
+        };
+
+        const order = await createOrder('#123ABC', 2, 'Fancy', { customization: style });
+        const unitPrice = config.unicorn_price + customColorPrice + options.horn_style.crystal + options.wing_style.bat +
+            options.size.giant + options.effect.glow + accessories.glasses + accessories.crown;
+        assert.strictEqual(order.total_amount, unitPrice * 2);
+
+        await request('POST', '/mock-payments/confirm', {
+            client_secret: order.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        const paid = await request('GET', `/orders/${order.payment_intent_id}?include=unicorns`);
+        assert.strictEqual(paid.data.customization.horn_style, 'crystal');
+        assert.strictEqual(paid.data.unicorns.length, 2);
+        for (const unicorn of paid.data.unicorns) {
+            assert.strictEqual(unicorn.color_name, 'Custom');
+            assert.strictEqual(unicorn.color_hex, '#123abc');
+            assert.deepStrictEqual(
+                [unicorn.horn_style, unicorn.horn_hex, unicorn.wing_style, unicorn.wing_hex, unicorn.size, unicorn.effect],
+                ['crystal', '#00ff00', 'bat', '#87ceeb', 'giant', 'glow']
+            );
+            assert.deepStrictEqual(unicorn.accessories, ['crown', 'glasses']);
+        }
+
+        const receipt = await request('GET', `/orders/${order.payment_intent_id}/receipt`);
+        assert.match(receipt.data, /Crystal horn, #00ff00 horn color, bat wings, crown, glasses, giant, glow/);
+
+        // Older unicorns keep the classic look
+        const plain = (await request('GET', '/unicorns?limit=5000')).data.unicorns.find(unicorn => unicorn.name === 'Mocky 1');
+        assert.strictEqual(plain.horn_style, 'classic');
+        assert.deepStrictEqual(plain.accessories, []);
+
+        for (const invalid of [
+            { horn_style: 'laser' },
+            { accessories: ['crown', 'scarf', 'glasses', 'bow_tie'] },
+            { wing_hex: 'blue' },
+            { sparkles: true }
+        ]) {
+            const rejected = await request('POST', '/create-payment-intent', {
+                base_name: 'Nope',
+                unicorn_orders: [{ color: context.color, quantity: 1 }],
+                user_session: 'session-mock-test',
+                customization: invalid
+            });
+            assert.strictEqual(rejected.status, 400, JSON.stringify(invalid));
+        }
+    },
+
+    async 'prices orders from the catalog, with volume discounts'() {
+        const { catalog } = (await request('GET', '/config')).data;
+        const [first, second] = catalog.colors;
+        const tier = catalog.tiers.find(entry => entry.min_quantity === 100);
+        assert.ok(tier && tier.discount_percent > 0);
+
+        const quote = lines => request('POST', '/create-payment-intent', {
+            base_name: 'Bulk', unicorn_orders: lines, user_session: 'session-bulk'
+        });
+        const small = await quote([{ color: first.name, quantity: 60 }, { color: second.name, quantity: 39 }]);
+        assert.strictEqual(small.data.total_amount, 60 * first.price + 39 * second.price);
+
+        // Repeated colors merge, and the tier applies to the whole order
+        const bulk = await quote([{ color: first.name, quantity: 30 }, { color: second.name, quantity: 40 }, { color: first.name, quantity: 30 }]);
+        const discounted = (unitPrice, quantity) => Math.round(unitPrice * quantity * (100 - tier.discount_percent) / 100);
+        assert.strictEqual(bulk.data.total_unicorns, 100);
+        assert.strictEqual(bulk.data.total_amount, discounted(first.price, 60) + discounted(second.price, 40));
+
+        // Prices come from the catalog only
+        const priced = await quote([{ color: first.name, quantity: 1, price: 1 }]);
+        assert.strictEqual(priced.status, 400);
+        assert.strictEqual(priced.data.details[0].field, 'unicorn_orders[0].price');
+        assert.strictEqual((await quote([{ color: 'Plaid', quantity: 1 }])).status, 400);
+    },
+
+    async 'validates request bodies and unicorn names'(context) {
+        const invalid = await request('POST', '/create-payment-intent', {
+            base_name: 42,
+            unicorn_orders: [{ color: context.color, quantity: 0 }],
+            user_session: 'session-mock-test',
+            sneaky: true
+        });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.data.code, 'invalid_request');
+        assert.deepStrictEqual(invalid.data.details.map(detail => detail.field).sort(),
+            ['base_name', 'sneaky', 'unicorn_orders[0].quantity']);
+
+        const malformed = await request('POST', '/auth/login', '{"email": ');
+        assert.strictEqual(malformed.status, 400);
+        assert.strictEqual(malformed.data.code, 'malformed_json');
+
+        const nameOrder = name => request('POST', '/create-payment-intent', {
+            base_name: name,
+            unicorn_orders: [{ color: context.color, quantity: 1 }],
+            user_session: 'session-names'
+        });
+        for (const name of ['Grumpy Cat', 'F.U.C.K', 'sh1t happens', '<script>', 'A'.repeat(21), 'Ze\u0301\u0301\u0301\u0301\u0301bra']) {
+            const rejected = await nameOrder(name);
+            assert.strictEqual(rejected.status, 400, name);
+            assert.strictEqual(rejected.data.details[0].field, 'base_name');
+        }
+        assert.strictEqual((await nameOrder('  Café   Stella ')).status, 200);
+
+        // Admins can allow a blocked term inside a longer one, and rename freely
+        const login = await request('POST', '/auth/login', { email: 'admin@example.com', password: 'correct horse battery' });
+        const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+        const rule = await request('POST', '/admin/api/name-rules', { term: 'Grumpy Cat', action: 'allow' }, cookie);
+        assert.strictEqual(rule.status, 200, JSON.stringify(rule.data));
+        assert.strictEqual((await nameOrder('Grumpy Cat')).status, 200);
+        assert.strictEqual((await nameOrder('Grumpy Dog')).status, 400);
+        assert.strictEqual((await request('DELETE', '/admin/api/name-rules/grumpy%20cat', undefined, cookie)).status, 200);
+        assert.strictEqual((await nameOrder('Grumpy Cat')).status, 400);
+        assert.strictEqual((await request('POST', '/admin/api/name-rules', { term: 'x', action: 'maybe' }, cookie)).status, 400);
+
+        const unicorn = (await request('GET', '/unicorns?limit=1')).data.unicorns[0];
+        const renamed = await request('PATCH', `/admin/api/unicorns/${unicorn.id}`, { name: 'Grumpy' }, cookie);
+        assert.strictEqual(renamed.data.name, 'Grumpy');
+        const badRename = await request('PATCH', `/admin/api/unicorns/${unicorn.id}`, { name: 'Grumpy\u0000' }, cookie);
+        assert.strictEqual(badRename.status, 400);
+    },
+
+    async 'rate limits checkout per session'() {
+        const attempt = () => request('POST', '/create-payment-intent', { user_session: 'session-flood' });
+        for (let i = 0; i < 40; i++) {
+            assert.strictEqual((await attempt()).status, 400);
+        }
+        const limited = await attempt();
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.data.code, 'rate_limited');
+        assert.ok(parseInt(limited.headers.get('retry-after')) > 0);
+
+        // Other sessions are unaffected
+        assert.strictEqual((await request('POST', '/create-payment-intent', { user_session: 'session-calm' })).status, 400);
+    },
+
+    async 'searches unicorns and ranks herds, colors and purchases'(context) {
+        const order = await createOrder(context.color, 2, 'Zephyrine', { user_session: 'session-search' });
+        const paid = await request('POST', `/mock-payments/${intentIdOf(order)}/events`, { outcome: 'succeeded' });
+        assert.strictEqual(paid.data.webhook_status, 200);
+
+        const search = async (query, headers) => {
+            const result = await request('GET', `/unicorns/search?${query}`, undefined, headers);
+            assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+            return result.data;
+        };
+        const prefix = await search('q=zephy');
+        assert.deepStrictEqual(prefix.unicorns.map(u => u.name), ['Zephyrine 1', 'Zephyrine 2']);
+        assert.strictEqual(prefix.unicorns[0].user_session, undefined);
+        assert.strictEqual((await search('q=zehpyrine&mode=fuzzy')).total, 2);
+        assert.strictEqual((await search(`q=zephy&color=${encodeURIComponent(context.color)}&from=2000-01-01`)).total, 2);
+        assert.strictEqual((await search('q=zephy&to=2000-01-01')).total, 0);
+        assert.strictEqual((await request('GET', '/unicorns/search?owner=me&session=session-search')).status, 401);
+        assert.strictEqual((await search(`owner=${prefix.unicorns[1].id}`)).total, 2);
+        assert.strictEqual((await search('q=zephy&limit=1')).unicorns.length, 1);
+
+        const invalid = await request('GET', '/unicorns/search?limit=1000&mode=psychic&sneaky=1');
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.data.details.map(detail => detail.field).sort(), ['limit', 'mode', 'sneaky']);
+        assert.strictEqual((await request('GET', '/unicorns/search?owner=me')).status, 401);
+
+        // Only mine: the buyer's account, never another account holding the session id
+        const signup = async email => {
+            const account = await request('POST', '/auth/signup', { email, password: 'correct horse battery', session_id: 'session-search' });
+            assert.strictEqual(account.status, 201, JSON.stringify(account.data));
+            return { Cookie: account.headers.get('set-cookie').split(';')[0] };
+        };
+        const seeker = await signup('seeker@example.com');
+        const snoop = await signup('snoop@example.com');
+        assert.strictEqual((await search('owner=me', seeker)).total, 2);
+        assert.strictEqual((await search('owner=me&session=session-search', snoop)).total, 0);
+        const herd = await request('GET', '/galaxy/export?owner=me', undefined, seeker);
+        assert.strictEqual(herd.data.unicorns.length, 2);
+        const borrowed = await request('GET', '/galaxy/export?owner=me&session=session-search', undefined, snoop);
+        assert.strictEqual(borrowed.data.unicorns.length, 0);
+
+        // The shop's own session has bought the most unicorns by now
+        const herds = await request('GET', '/leaderboards/herds?limit=3');
+        assert.ok(herds.data.herds.length > 1 && herds.data.herds.length <= 3);
+        assert.ok(herds.data.herds[0].unicorn_count >= herds.data.herds[1].unicorn_count);
+        assert.strictEqual(herds.data.herds[0].first_unicorn.user_session, undefined);
+
+        const colors = await request('GET', '/leaderboards/colors');
+        assert.strictEqual(colors.data.colors[0].color_name, context.color);
+
+        const recent = await request('GET', '/leaderboards/recent?limit=50');
+        const zephyrine = recent.data.purchases.find(purchase => purchase.first_unicorn.name === 'Zephyrine 1');
+        assert.strictEqual(zephyrine.unicorn_count, 2);
+        assert.strictEqual((await request('GET', '/leaderboards/recent?limit=0')).status, 400);
+    },
+
+    async 'pages the galaxy by cursor, bounding box and chunk'() {
+        const everything = (await request('GET', '/unicorns?limit=5000')).data;
+        assert.strictEqual(everything.next_cursor, null);
+        assert.ok(everything.unicorns.length > 3);
+
+        const paged = [];
+        let cursor = null;
+        do {
+            const page = await request('GET', `/unicorns?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+            assert.ok(page.data.unicorns.length <= 2);
+            paged.push(...page.data.unicorns);
+            cursor = page.data.next_cursor;
+        } while (cursor);
+        assert.deepStrictEqual(paged.map(unicorn => unicorn.id), everything.unicorns.map(unicorn => unicorn.id));
+        assert.strictEqual((await request('GET', '/unicorns?cursor=not-a-cursor')).status, 400);
+        assert.strictEqual((await request('GET', '/unicorns?min_x=0&max_x=1')).status, 400);
+
+        const [unicorn] = everything.unicorns;
+        const around = ['x', 'y', 'z'].map(axis => {
+            const value = unicorn[`position_${axis}`];
+            return `min_${axis}=${value - 0.5}&max_${axis}=${value + 0.5}`;
+        }).join('&');
+        const boxed = await request('GET', `/unicorns?${around}`);
+        assert.ok(boxed.data.unicorns.some(entry => entry.id === unicorn.id));
+
+        const chunk = chunkOf({ x: unicorn.position_x, y: unicorn.position_y, z: unicorn.position_z });
+        const index = await request('GET', '/unicorns/chunk-index');
+        assert.strictEqual(index.data.chunks.reduce((sum, entry) => sum + entry.count, 0), everything.unicorns.length);
+        assert.ok(index.data.chunks.some(entry => entry.x === chunk.x && entry.y === chunk.y && entry.z === chunk.z));
+        const key = `${chunk.x},${chunk.y},${chunk.z}`;
+        const chunks = await request('GET', `/unicorns/chunks?chunks=${key};${chunk.x + 100},0,0`);
+        assert.ok(chunks.data.chunks[key].some(entry => entry.id === unicorn.id));
+        assert.deepStrictEqual(chunks.data.chunks[`${chunk.x + 100},0,0`], []);
+        assert.strictEqual((await request('GET', '/unicorns/chunks?chunks=1,2')).status, 400);
+    },
+
+    async 'shares unicorns by permalink with a preview image'() {
+        const [unicorn] = (await request('GET', '/unicorns?limit=1')).data.unicorns;
+        const image = `/unicorn/${unicorn.id}/preview.png`;
+
+        for (const link of [`/unicorn/${unicorn.id}`, `/u/${unicorn.id}`]) {
+            const page = await request('GET', link);
+            assert.strictEqual(page.status, 200, link);
+            // Absolute links on PUBLIC_URL, whichever path was shared
+            assert.ok(page.data.includes(`<meta property="og:image" content="https://unicorns.example.com${image}">`), link);
+            assert.ok(page.data.includes(`<link rel="canonical" href="https://unicorns.example.com/u/${unicorn.id}">`), link);
+        }
+        assert.strictEqual((await request('GET', `/unicorns/${unicorn.id}`)).data.unicorn.name, unicorn.name);
+
+        const preview = await fetch(`${BASE_URL}${image}`);
+        assert.strictEqual(preview.headers.get('content-type'), 'image/png');
+        const bytes = Buffer.from(await preview.arrayBuffer());
+        assert.deepStrictEqual([...bytes.subarray(1, 4)], [...Buffer.from('PNG')]);
+
+        // Renders are rate limited per IP; cached images are not
+        const others = (await request('GET', '/unicorns?limit=4')).data.unicorns.filter(other => other.id !== unicorn.id);
+        const statuses = [];
+        for (const other of others.slice(0, 3)) {
+            statuses.push((await fetch(`${BASE_URL}/unicorn/${other.id}/preview.png`)).status);
+        }
+        assert.deepStrictEqual(statuses, [200, 200, 429]);
+        assert.strictEqual((await fetch(`${BASE_URL}${image}`)).status, 200);
+
+        // Unknown ids still open the shop, without share tags
+        const missing = await request('GET', '/unicorn/no-such-unicorn');
+        assert.strictEqual(missing.status, 404);
+        assert.ok(missing.data.includes('</html>') && !missing.data.includes('og:image'));
+        assert.strictEqual((await request('GET', '/unicorn/no-such-unicorn/preview.png')).status, 404);
+        assert.strictEqual((await request('GET', '/unicorns/no-such-unicorn')).status, 404);
+
+        // Legacy names and imported colors may hold `$`, which String#replace reads as a pattern
+        const shop = '<html><head><title>Shop</title></head><body></body></html>';
+        const cash = renderPermalinkPage(shop, { id: 'u1', name: "Cash $` $& $' x", color_name: 'Gold $`' }, 'https://unicorns.example.com', { width: 1200, height: 630 });
+        assert.ok(cash.includes("<title>Cash $` $&amp; $&#39; x · Space Unicorns</title>"), cash);
+        assert.ok(cash.includes('content="Cash $` $&amp; $&#39; x is a gold $` unicorn'), cash);
+        assert.strictEqual(cash.match(/<head>/g).length, 1);
+    },
+
+    async 'prices the shop in the visitor currency and language'(context) {
+        const dollars = await request('GET', '/config');
+        const yen = await request('GET', '/config?currency=jpy');
+        assert.strictEqual(yen.data.currency, 'jpy');
+        assert.strictEqual(dollars.data.unicorn_price, 25);
+        assert.strictEqual(yen.data.unicorn_price, 40); // From the price table, not 25 * 150 / 100
+        assert.deepStrictEqual(yen.data.currencies.find(currency => currency.code === 'jpy'), { code: 'jpy', minor_units: 0 });
+        assert.strictEqual((await request('GET', '/config?currency=xyz')).status, 400);
+
+        const euros = await request('GET', '/config?currency=eur');
+        const color = euros.data.catalog.colors.find(entry => entry.name === context.color);
+        const order = await createOrder(context.color, 2, 'Euro', { currency: 'eur' });
+        assert.strictEqual(order.currency, 'eur');
+        assert.strictEqual(order.total_amount, 2 * color.price);
+        const status = await request('GET', `/orders/${intentIdOf(order)}`);
+        assert.strictEqual(status.data.currency, 'eur');
+
+        const italian = await request('GET', '/i18n', undefined, { 'Accept-Language': 'it-IT,it;q=0.9,en;q=0.5' });
+        assert.strictEqual(italian.data.locale, 'it');
+        assert.strictEqual(italian.data.currency, 'eur');
+        assert.strictEqual(italian.data.messages['buy.title'], 'Compra il tuo unicorno');
+        assert.match(italian.headers.get('vary'), /Accept-Language/);
+
+        // The switcher's choice wins over the browser; unknown locales fall back to English
+        const chosen = await request('GET', '/i18n?locale=en', undefined, { 'Accept-Language': 'it' });
+        assert.strictEqual(chosen.data.locale, 'en');
+        assert.strictEqual(chosen.data.currency, 'usd');
+        assert.strictEqual((await request('GET', '/i18n?locale=xx')).data.locale, 'en');
+
+        // The tables are in dollars: another base sells in itself only
+        assert.deepStrictEqual(parseCurrencyList(undefined, 'usd'), ['usd', 'eur', 'gbp', 'jpy']);
+        assert.deepStrictEqual(parseCurrencyList('usd,jpy', 'eur'), ['eur']);
+        assert.deepStrictEqual(parseCurrencyList(undefined, 'chf'), ['chf']);
+    },
+
+    async 'rejects unsigned and forged webhooks'() {
+        const event = JSON.stringify({
+            id: 'evt_forged',
+            type: 'payment_intent.succeeded',
+            data: { object: { id: 'pi_forged', amount: 100, metadata: { unicorn_orders: '[]' } } }
+        });
+
+        const unsigned = await request('POST', '/webhook', event);
+        assert.strictEqual(unsigned.status, 400);
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const forged = await request('POST', '/webhook', event, { 'mock-signature': `t=${timestamp},v1=${'0'.repeat(64)}` });
+        assert.strictEqual(forged.status, 400);
+    },
+
+    async 'answers health checks and counts sales for Prometheus'() {
+        const health = await request('GET', '/healthz');
+        assert.strictEqual(health.data.status, 'ok');
+        const readiness = await request('GET', '/readyz');
+        assert.strictEqual(readiness.status, 200);
+        assert.deepStrictEqual(readiness.data.checks, { database: 'ok', payments: 'ok' });
+
+        // A caller's request id is kept; others get a fresh one
+        const traced = await request('GET', '/config', undefined, { 'X-Request-ID': 'trace-123' });
+        assert.strictEqual(traced.headers.get('x-request-id'), 'trace-123');
+        assert.match((await request('GET', '/config')).headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const scrape = await request('GET', '/metrics');
+        assert.match(scrape.headers.get('content-type'), /^text\/plain/);
+        assert.match(scrape.data, /unicorn_shop_webhook_events_total\{type="payment_intent\.succeeded",outcome="processed"\} \d+/);
+        assert.match(scrape.data, /unicorn_shop_webhook_events_total\{type="unknown",outcome="invalid_signature"\} 2/);
+        assert.match(scrape.data, /unicorn_shop_unicorns_sold_total [1-9]\d*/);
+        assert.match(scrape.data, /unicorn_shop_revenue_total\{currency="usd"\} [\d.]+/);
+        assert.match(scrape.data, /unicorn_shop_fulfillment_duration_seconds_count\{source="webhook"\} [1-9]/);
+        assert.match(scrape.data, /unicorn_shop_http_request_duration_seconds_bucket\{method="GET",route="\/config",status="200",le="\+Inf"\}/);
+    },
+
+    async 'replays the galaxy history and round-trips snapshots'() {
+        const total = await countUnicorns();
+        const timeline = await request('GET', '/galaxy/history?bucket=hour');
+        assert.strictEqual(timeline.status, 200, JSON.stringify(timeline.data));
+        assert.strictEqual(timeline.data.bucket, 'hour');
+        assert.strictEqual(timeline.data.buckets.at(-1).total_unicorns, total);
+        assert.ok(timeline.data.buckets.every(bucket => bucket.space_radius > 0));
+        assert.strictEqual((await request('GET', '/galaxy/history?bucket=week')).status, 400);
+
+        const exported = await request('GET', '/galaxy/export');
+        assert.match(exported.headers.get('content-disposition'), /space-unicorns-galaxy-.*\.json/);
+        assert.strictEqual(exported.data.format, 'space-unicorns-snapshot');
+        assert.strictEqual(exported.data.version, 1);
+        assert.strictEqual(exported.data.unicorns.length, total);
+        const scene = await request('GET', '/galaxy/export?format=gltf');
+        assert.strictEqual(scene.data.asset.version, '2.0');
+        assert.strictEqual(scene.data.nodes.length, total + 1);
+        assert.strictEqual((await request('GET', '/galaxy/export?owner=me')).status, 401);
+
+        const snapshot = exported.data;
+        assert.ok((await request('POST', '/admin/api/galaxy/import', snapshot)).status >= 401);
+        const login = await request('POST', '/auth/login', { email: 'admin@example.com', password: 'correct horse battery' });
+        const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+
+        // Unicorns already here are skipped; new ones keep their id and purchase time
+        const again = await request('POST', '/admin/api/galaxy/import', snapshot, cookie);
+        assert.deepStrictEqual(again.data, { imported: 0, skipped: total, moved: 0 });
+        const visitor = { ...snapshot.unicorns[0], id: 'imported-visitor-1', created_at: '2001-02-03 04:05:06' };
+        const imported = await request('POST', '/admin/api/galaxy/import', { ...snapshot, unicorns: [visitor] }, cookie);
+        assert.deepStrictEqual(imported.data, { imported: 1, skipped: 0, moved: 1 });
+        assert.strictEqual(await countUnicorns(), total + 1);
+        const replay = await request('GET', '/galaxy/history?to=2001-12-31');
+        assert.strictEqual(replay.data.total_unicorns, 1);
+
+        const newer = await request('POST', '/admin/api/galaxy/import', { ...snapshot, version: 2 }, cookie);
+        assert.strictEqual(newer.status, 400);
+        assert.strictEqual(newer.data.details[0].field, 'version');
+    },
+
+    async 'exports and backs up with the database CLI, none of it served'() {
+        // Default export name, in the directory the CLI runs from
+        const csv = (await manageDatabase('export', '--format', 'csv')).match(/Exported (\d+) unicorns to (\S+)/);
+        const lines = fs.readFileSync(path.join(DATA_DIR, csv[2]), 'utf8').trim().split('\n');
+        assert.strictEqual(lines.length, Number(csv[1]) + 1);
+        assert.ok(lines[0].split(',').includes('payment_intent_id'));
+
+        const out = path.join(DATA_DIR, 'payments.json');
+        assert.match(await manageDatabase('export', '--table', 'payments', '--out', out), /Exported \d+ payments/);
+        const payments = JSON.parse(fs.readFileSync(out, 'utf8'));
+        assert.ok(payments.some(payment => payment.status === 'succeeded'));
+        assert.match(await manageDatabase('import', out, '--table', 'payments'), /Imported 0 payments .*\(\d+ already present\)/);
+        // One amount per currency paid in; only dollars were paid here
+        assert.match(await manageDatabase('stats'), /Net revenue: \$[\d,]+\.\d{2}\n/);
+
+        // The default backup lands in backups/ next to the server's own files
+        const target = (await manageDatabase('backup')).match(/Backup written to (\S+)/)[1];
+        try {
+            assert.ok(fs.statSync(target).size > 0);
+            const served = path.relative(__dirname, target).split(path.sep).join('/');
+            assert.strictEqual((await request('GET', `/${served}`)).status, 404);
+        } finally {
+            fs.rmSync(target, { force: true });
+        }
+        for (const file of ['/unicorns.db', '/package.json', '/server.js', '/.env']) {
+            assert.strictEqual((await request('GET', file)).status, 404, file);
+        }
+        assert.strictEqual((await request('GET', '/setup-instructions.html')).status, 200);
+    },
+
+    async 'mints orders with more custom colors than fit in provider metadata'() {
+        // Free colors are one line each: more lines than provider metadata
+        // holds, so they are read back from the payments row
+        const colors = Array.from({ length: 30 }, (_, index) => `#${(0x100000 + index * 0x0f0f).toString(16)}`);
+        const rainbow = await request('POST', '/create-payment-intent', {
+            base_name: 'Rainbow',
+            unicorn_orders: colors.map(color => ({ color, quantity: 1 })),
+            user_session: 'session-mock-test'
+        });
+        assert.strictEqual(rainbow.status, 200, JSON.stringify(rainbow.data));
+        await request('POST', '/mock-payments/confirm', {
+            client_secret: rainbow.data.client_secret,
+            card: { number: '4242424242424242', expiry: EXPIRY, cvc: '123' }
+        });
+        const herd = await request('GET', `/orders/${rainbow.data.payment_intent_id}?include=unicorns`);
+        assert.deepStrictEqual(herd.data.unicorns.map(unicorn => unicorn.color_hex).sort(), [...colors].sort());
+    }
+};
+
+async function main() {
+    const smtp = await startSmtpSink();
+    const { server, ready } = startServer(smtp.port);
+    let failures = 0;
+
+    try {
+        await ready;
+        console.log(`🧪 Mock checkout against ${BASE_URL}`);
+
+        const context = { mail: smtp.messages };
+        for (const [title, test] of Object.entries(tests)) {
+            try {
+                await test(context);
+                console.log(`  ✅ ${title}`);
+            } catch (error) {
+                failures++;
+                console.log(`  ❌ ${title}\n     ${error.stack.split('\n').slice(0, 3).join('\n     ')}`);
+            }
+        }
+    } finally {
+        server.removeAllListeners('exit');
+        server.kill();
+        smtp.server.close();
+        fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    }
+
+    console.log(failures === 0 ? '\n🎉 All webhook tests passed' : `\n💥 ${failures} webhook tests failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
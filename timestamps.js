@@ -0,0 +1,21 @@
+// Timestamps as the database keeps them: created_at and recorded_at columns
+// hold UTC text in SQLite's CURRENT_TIMESTAMP format, 'YYYY-MM-DD HH:MM:SS',
+// on both storage drivers (see postgres-storage.js), so they compare and sort
+// as plain strings.
+
+const SQL_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Date → '2024-05-01 12:30:00'
+function sqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseSqlTimestamp(value) {
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+module.exports = {
+    SQL_TIMESTAMP,
+    parseSqlTimestamp,
+    sqlTimestamp
+};
@@ -0,0 +1,187 @@
+// Request body validation. A schema turns untrusted input into a clean value
+// or throws a ValidationError listing every field that is wrong:
+//
+//   const loginBody = object({ email: string({ max: 254 }), password: string({ max: 200, trim: false }) });
+//   app.post('/auth/login', validateBody(loginBody), handler); // handler reads the clean req.body
+//
+// Each builder returns a function (value, field) → clean value. Objects reject
+// keys their shape does not list. validateQuery does the same for query
+// strings, whose values are always text (see numeric).
+const { sendError } = require('./api-errors.js');
+
+class ValidationError extends Error {
+    // details: [{ field, message }]
+    constructor(details, status = 400) {
+        super(details.map(detail => `${detail.field}: ${detail.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function invalid(field, message) {
+    return new ValidationError([{ field: field || 'body', message }]);
+}
+
+// Missing (undefined) values are allowed and stay undefined
+function optional(schema) {
+    return (value, field) => (value === undefined ? undefined : schema(value, field));
+}
+
+// Missing or null values are allowed and become null
+function nullable(schema) {
+    return (value, field) => (value === undefined || value === null ? null : schema(value, field));
+}
+
+function string({ min = 1, max = 200, trim = true, pattern = null } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'string') throw invalid(field, 'must be a string');
+        const text = trim ? value.trim() : value;
+        if (text.length < min) {
+            throw invalid(field, min === 1 ? 'is required' : `must be at least ${min} characters`);
+        }
+        if (text.length > max) throw invalid(field, `must be at most ${max} characters`);
+        if (pattern && !pattern.test(text)) throw invalid(field, 'has an invalid format');
+        return text;
+    };
+}
+
+function integer({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+    return (value, field) => {
+        if (!Number.isInteger(value)) throw invalid(field, 'must be a whole number');
+        if (value < min || value > max) throw invalid(field, `must be between ${min} and ${max}`);
+        return value;
+    };
+}
+
+// A whole number written as text, as in query strings; returns the number
+function numeric({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'string' || !/^-?\d{1,15}$/.test(value.trim())) {
+            throw invalid(field, 'must be a whole number');
+        }
+        return integer({ min, max })(parseInt(value, 10), field);
+    };
+}
+
+// Any finite number, such as a coordinate
+function number({ min = -Number.MAX_VALUE, max = Number.MAX_VALUE } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(field, 'must be a number');
+        if (value < min || value > max) throw invalid(field, `must be between ${min} and ${max}`);
+        return value;
+    };
+}
+
+function boolean() {
+    return (value, field) => {
+        if (typeof value !== 'boolean') throw invalid(field, 'must be true or false');
+        return value;
+    };
+}
+
+function oneOf(values) {
+    return (value, field) => {
+        if (!values.includes(value)) throw invalid(field, `must be one of: ${values.join(', ')}`);
+        return value;
+    };
+}
+
+function array(item, { min = 0, max = 100 } = {}) {
+    return (value, field) => {
+        if (!Array.isArray(value)) throw invalid(field, 'must be a list');
+        if (value.length < min) throw invalid(field, min === 1 ? 'must not be empty' : `must have at least ${min} entries`);
+        if (value.length > max) throw invalid(field, `must have at most ${max} entries`);
+
+        const details = [];
+        const clean = value.map((entry, index) => {
+            try {
+                return item(entry, `${field}[${index}]`);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                details.push(...error.details);
+                return undefined;
+            }
+        });
+        if (details.length > 0) throw new ValidationError(details);
+        return clean;
+    };
+}
+
+// shape: { key: schema }. Every wrong field is reported, not just the first.
+function object(shape) {
+    return (value, field) => {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw invalid(field, 'must be an object');
+        }
+
+        const path = key => (field ? `${field}.${key}` : key);
+        const details = Object.keys(value)
+            .filter(key => !Object.prototype.hasOwnProperty.call(shape, key))
+            .map(key => ({ field: path(key), message: 'is not allowed' }));
+
+        const clean = {};
+        for (const [key, schema] of Object.entries(shape)) {
+            try {
+                const result = schema(value[key], path(key));
+                if (result !== undefined) clean[key] = result;
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                details.push(...error.details);
+            }
+        }
+        if (details.length > 0) throw new ValidationError(details);
+        return clean;
+    };
+}
+
+// Reuse a domain validator (e.g. normalizeCustomization) that throws its own
+// error class; those errors become field errors with the same message
+function check(validate, ErrorClass) {
+    return (value, field) => {
+        try {
+            return validate(value);
+        } catch (error) {
+            if (error instanceof ErrorClass) throw invalid(field, error.message);
+            throw error;
+        }
+    };
+}
+
+// Middleware: replaces req[source] with the clean value, or answers 400 with the details
+function validateRequest(source, schema) {
+    return (req, res, next) => {
+        try {
+            req[source] = schema(req[source] === undefined ? {} : req[source], '');
+            next();
+        } catch (error) {
+            if (!(error instanceof ValidationError)) return next(error);
+            sendError(res, error.status, error.message, { code: 'invalid_request', details: error.details });
+        }
+    };
+}
+
+function validateBody(schema) {
+    return validateRequest('body', schema);
+}
+
+function validateQuery(schema) {
+    return validateRequest('query', schema);
+}
+
+module.exports = {
+    ValidationError,
+    array,
+    boolean,
+    check,
+    integer,
+    nullable,
+    number,
+    numeric,
+    object,
+    oneOf,
+    optional,
+    string,
+    validateBody,
+    validateQuery
+};